@@ -16,32 +16,821 @@
  *   No need to keep your PC on 24/7 — progress auto-saves (see help).
  */
 
+// Error-diffusion kernels used by _quantizeImage: taps are [dx, dy, weight]
+const DITHER_KERNELS = {
+  'floyd-steinberg': { div:16, taps:[[1,0,7],[-1,1,3],[0,1,5],[1,1,1]] },
+  'atkinson':        { div:8,  taps:[[1,0,1],[2,0,1],[-1,1,1],[0,1,1],[1,1,1],[0,2,1]] }
+};
+// 4×4 Bayer matrix for ordered dithering (thresholds 0..15)
+const BAYER4 = [[0,8,2,10],[12,4,14,6],[3,11,1,9],[15,7,13,5]];
+const ORDERED_SPREAD = 48;            // ± RGB offset applied by the Bayer threshold
+
+// Image preprocessing steps (before quantization) on RGBA images {data, w, h}; each returns a new image.
+const PREPROCESS_DEFAULTS = {
+  crop:null,                          // {x,y,w,h} in source pixels
+  width:null, height:null,            // exact target size (one of them → keep aspect)
+  scale:null,                         // factor on the (cropped) source; otherwise fit maxW×maxH
+  resample:'nearest',                 // 'nearest' | 'area' (average) | 'pixelart' (majority color per cell)
+  brightness:0, contrast:0, saturation:0, // -1..1
+  gamma:1,                            // >1 brightens midtones
+  alphaThreshold:128,                 // cells with alpha below this stay empty (1..255)
+  chromaKey:null, chromaTolerance:0,  // '#rrggbb' background removed (RGB distance ≤ tolerance)
+};
+const MAX_SOURCE_SIDE = 4096;         // bigger images are scaled down once before preprocessing
+const cropRgba = ({data, w}, r) => {
+  const out = new Uint8ClampedArray(r.w*r.h*4);
+  for (let y=0; y<r.h; y++) { const i=((r.y+y)*w + r.x)*4; out.set(data.subarray(i, i+r.w*4), y*r.w*4); }
+  return { data:out, w:r.w, h:r.h };
+};
+const chromaKeyRgba = ({data, w, h}, key, tol) => {
+  const out = new Uint8ClampedArray(data);
+  for (let i=0; i<out.length; i+=4) {
+    if (Math.hypot(out[i]-key.r, out[i+1]-key.g, out[i+2]-key.b) <= tol) out[i+3] = 0;
+  }
+  return { data:out, w, h };
+};
+const resizeRgba = ({data, w, h}, dw, dh, mode='nearest', cut=128) => {
+  if (dw===w && dh===h) return { data:new Uint8ClampedArray(data), w, h };
+  const out = new Uint8ClampedArray(dw*dh*4), sx = w/dw, sy = h/dh;
+  for (let y=0; y<dh; y++) {
+    const y0 = Math.min(h-1, Math.floor(y*sy)), y1 = Math.min(h, Math.max(y0+1, Math.floor((y+1)*sy)));
+    for (let x=0; x<dw; x++) {
+      const o = (y*dw+x)*4;
+      if (mode === 'nearest') {
+        const i = (Math.min(h-1, Math.floor((y+0.5)*sy))*w + Math.min(w-1, Math.floor((x+0.5)*sx)))*4;
+        out.set(data.subarray(i, i+4), o);
+        continue;
+      }
+      const x0 = Math.min(w-1, Math.floor(x*sx)), x1 = Math.min(w, Math.max(x0+1, Math.floor((x+1)*sx)));
+      if (mode === 'area') { // alpha-weighted mean, so transparent cells don't darken the edges
+        let r=0, g=0, b=0, a=0, n=0;
+        for (let yy=y0; yy<y1; yy++) for (let xx=x0; xx<x1; xx++) {
+          const i=(yy*w+xx)*4, al=data[i+3];
+          r+=data[i]*al; g+=data[i+1]*al; b+=data[i+2]*al; a+=al; n++;
+        }
+        if (a) { out[o]=r/a; out[o+1]=g/a; out[o+2]=b/a; out[o+3]=a/n; }
+        continue;
+      }
+      // pixelart: the most common opaque color of the cell, no blending; mostly transparent → transparent
+      const count = new Map(); let clear=0, best=-1, bestN=0;
+      for (let yy=y0; yy<y1; yy++) for (let xx=x0; xx<x1; xx++) {
+        const i=(yy*w+xx)*4;
+        if (data[i+3] < cut) { clear++; continue; }
+        const k=(data[i]<<16)|(data[i+1]<<8)|data[i+2], c=(count.get(k)||0)+1;
+        count.set(k, c);
+        if (c > bestN) { bestN=c; best=k; }
+      }
+      if (best < 0 || clear > (y1-y0)*(x1-x0)-clear) continue;
+      out[o]=best>>16; out[o+1]=(best>>8)&255; out[o+2]=best&255; out[o+3]=255;
+    }
+  }
+  return { data:out, w:dw, h:dh };
+};
+const adjustRgba = ({data, w, h}, {brightness=0, contrast=0, saturation=0, gamma=1}) => {
+  const out = new Uint8ClampedArray(data);
+  const C = contrast*255, f = (259*(C+255))/(255*(259-C));
+  const lut = new Uint8ClampedArray(256);
+  for (let v=0; v<256; v++) lut[v] = f*(255*Math.pow(v/255, 1/gamma) + brightness*255 - 128) + 128;
+  for (let i=0; i<out.length; i+=4) {
+    let r=lut[out[i]], g=lut[out[i+1]], b=lut[out[i+2]];
+    if (saturation) {
+      const l = 0.299*r + 0.587*g + 0.114*b, k = 1+saturation;
+      r = l+(r-l)*k; g = l+(g-l)*k; b = l+(b-l)*k;
+    }
+    out[i]=r; out[i+1]=g; out[i+2]=b;
+  }
+  return { data:out, w, h };
+};
+
+// Drawing-order strategies: (pending pixels, {all, seed, comparator}) → new array in drawing order.
+// `all` is the whole template (neighbour lookups), the input array is never mutated.
+const byRow = (a,b)=>(a.y-b.y)||(a.x-b.x);
+const ORDER_STRATEGIES = {
+  row: (px)=>px.slice().sort(byRow),
+  // biggest color groups first, row-major inside a group → one swatch switch per color
+  color: (px)=>{
+    const count=new Map(); for (const p of px) count.set(p.color, (count.get(p.color)||0)+1);
+    return px.slice().sort((a,b)=>(count.get(b.color)-count.get(a.color)) || (a.color<b.color?-1:a.color>b.color?1:0) || byRow(a,b));
+  },
+  // cells touching another color or the template edge first, then the fill
+  outline: (px, {all})=>{
+    const at=new Map(all.map(p=>[p.x+','+p.y, p.color]));
+    const edge=(p)=>[[1,0],[-1,0],[0,1],[0,-1]].some(([dx,dy])=>at.get((p.x+dx)+','+(p.y+dy))!==p.color);
+    const out=[], fill=[];
+    for (const p of px.slice().sort(byRow)) (edge(p) ? out : fill).push(p);
+    return out.concat(fill);
+  },
+  // square rings outward from the template center, clockwise inside a ring
+  spiral: (px, {all})=>{
+    let minX=Infinity, minY=Infinity, maxX=-Infinity, maxY=-Infinity;
+    for (const p of all){ if(p.x<minX) minX=p.x; if(p.y<minY) minY=p.y; if(p.x>maxX) maxX=p.x; if(p.y>maxY) maxY=p.y; }
+    const cx=(minX+maxX)/2, cy=(minY+maxY)/2;
+    const key=(p)=>({ ring:Math.max(Math.abs(p.x-cx), Math.abs(p.y-cy)), ang:Math.atan2(p.y-cy, p.x-cx) });
+    return px.map(p=>[key(p),p]).sort((a,b)=>(a[0].ring-b[0].ring)||(a[0].ang-b[0].ang)).map(e=>e[1]);
+  },
+  // seeded shuffle, so the same seed always gives the same order
+  random: (px, {seed})=>{
+    let t=seed>>>0;
+    const rnd=()=>{ t=(t+0x6D2B79F5)>>>0; let r=Math.imul(t^(t>>>15), 1|t); r^=r+Math.imul(r^(r>>>7), 61|r); return ((r^(r>>>14))>>>0)/4294967296; };
+    const out=px.slice();
+    for (let i=out.length-1;i>0;i--){ const j=Math.floor(rnd()*(i+1)); [out[i],out[j]]=[out[j],out[i]]; }
+    return out;
+  },
+  custom: (px, {comparator})=>comparator ? px.slice().sort(comparator) : px.slice()
+};
+
+// ===== STORAGE BACKENDS =====
+// compact pixel storage: 3 × uint32 per pixel → [x, y, 0xRRGGBB]
+const encodePixels = (pixels)=>{
+  const a=new Uint32Array(pixels.length*3);
+  for (let i=0;i<pixels.length;i++){ const p=pixels[i]; a[i*3]=p.x; a[i*3+1]=p.y; a[i*3+2]=parseInt(p.color.slice(1),16); }
+  return a.buffer;
+};
+const decodePixels = (buf)=>{
+  const a=new Uint32Array(buf), out=new Array(a.length/3);
+  for (let i=0;i<out.length;i++) out[i]={ x:a[i*3], y:a[i*3+1], color:'#'+a[i*3+2].toString(16).padStart(6,'0') };
+  return out;
+};
+// undo snapshot: 4 × int32 per entry → [x, y, 0xRRGGBB or -1 (the cell was empty), placement index]
+const UNDO_CHUNK = 4096;              // entries per stored record (an autosave rewrites only the last one)
+const encodeUndo = (log)=>{
+  const a=new Int32Array(log.length*4);
+  for (let i=0;i<log.length;i++){ const e=log[i]; a[i*4]=e.x; a[i*4+1]=e.y; a[i*4+2]=e.color ? parseInt(e.color.slice(1),16) : -1; a[i*4+3]=e.pl; }
+  return a.buffer;
+};
+const decodeUndo = (buf)=>{
+  const a=new Int32Array(buf), out=new Array(a.length/4);
+  for (let i=0;i<out.length;i++) out[i]={ x:a[i*4], y:a[i*4+1], color: a[i*4+2]<0 ? null : '#'+a[i*4+2].toString(16).padStart(6,'0'), pl:a[i*4+3] };
+  return out;
+};
+
+// Async key/value store on IndexedDB; ArrayBuffers are stored as-is.
+class IdbStore {
+  constructor(dbName='WPLACE_BOT'){ this.name='IndexedDB'; this.dbName=dbName; this._db=null; }
+  open(){
+    if (!this._db) this._db=new Promise((res,rej)=>{
+      const r=indexedDB.open(this.dbName, 1);
+      r.onupgradeneeded=()=>r.result.createObjectStore('kv');
+      r.onsuccess=()=>res(r.result);
+      r.onerror=()=>rej(r.error);
+    });
+    return this._db;
+  }
+  async _run(mode, fn){
+    const db=await this.open();
+    return new Promise((res,rej)=>{
+      const tx=db.transaction('kv', mode);
+      const req=fn(tx.objectStore('kv'));
+      tx.oncomplete=()=>res(req ? req.result : undefined);
+      tx.onerror=tx.onabort=()=>rej(tx.error);
+    });
+  }
+  get(key){ return this._run('readonly', st=>st.get(key)); }
+  keys(){ return this._run('readonly', st=>st.getAllKeys()); }
+  // one transaction: either every entry lands or none does
+  setMany(entries){ return this._run('readwrite', st=>{ for (const [k,v] of entries) st.put(v,k); }); }
+  delete(...keys){ return this._run('readwrite', st=>{ for (const k of keys) st.delete(k); }); }
+}
+
+// Same interface on localStorage (fallback when IndexedDB is unavailable, e.g. some private modes).
+class LocalStore {
+  constructor(prefix='WPLACE_BOT:'){ this.name='localStorage'; this.prefix=prefix; }
+  async open(){ localStorage.getItem(this.prefix); }
+  async get(key){
+    const raw=localStorage.getItem(this.prefix+key); if (raw==null) return undefined;
+    const v=JSON.parse(raw);
+    if (!v || typeof v.__ab!=='string') return v;
+    const bin=atob(v.__ab), u8=new Uint8Array(bin.length);
+    for (let i=0;i<bin.length;i++) u8[i]=bin.charCodeAt(i);
+    return u8.buffer;
+  }
+  async keys(){
+    const out=[];
+    for (let i=0;i<localStorage.length;i++){ const k=localStorage.key(i); if (k && k.startsWith(this.prefix)) out.push(k.slice(this.prefix.length)); }
+    return out;
+  }
+  async setMany(entries){
+    for (const [k,v] of entries) {
+      let val=v;
+      if (v instanceof ArrayBuffer) {
+        const u8=new Uint8Array(v); let bin='';
+        for (let i=0;i<u8.length;i+=0x8000) bin+=String.fromCharCode.apply(null, u8.subarray(i, i+0x8000));
+        val={ __ab:btoa(bin) };
+      }
+      localStorage.setItem(this.prefix+k, JSON.stringify(val));
+    }
+  }
+  async delete(...keys){ for (const k of keys) localStorage.removeItem(this.prefix+k); }
+}
+
+// ===== PROJECT FILE FORMAT =====
+const PROJECT_FORMAT = 'wplace-bot-project';
+const MAX_TEMPLATE_CELLS = 16e6;      // width × height limit of an encoded template grid
+
+// run-length encoding of an int array → [run, value, run, value, …]
+const rleEncode = (arr)=>{
+  const out=[];
+  for (let i=0;i<arr.length;){ let j=i+1; while (j<arr.length && arr[j]===arr[i]) j++; out.push(j-i, arr[i]); i=j; }
+  return out;
+};
+// inverse of rleEncode; throws unless it covers exactly `total` cells with values in -1..maxValue
+const rleDecode = (rle, total, maxValue)=>{
+  if (!Array.isArray(rle) || rle.length%2) throw new Error('rle must be [run, value, …]');
+  const out=new Int32Array(total);
+  let k=0;
+  for (let i=0;i<rle.length;i+=2){
+    const run=rle[i], v=rle[i+1];
+    if (!Number.isInteger(run) || run<1 || !Number.isInteger(v) || v<-1 || v>maxValue) throw new Error(`bad rle entry at ${i}`);
+    if (k+run>total) throw new Error('rle is longer than the grid');
+    out.fill(v, k, k+run); k+=run;
+  }
+  if (k!==total) throw new Error('rle is shorter than the grid');
+  return out;
+};
+// template → palette-indexed RLE over its grid (row-major from 0,0; index -1 = no pixel)
+const encodeTemplate = (pixels)=>{
+  let w=0, h=0;
+  for (const p of pixels){ if (p.x+1>w) w=p.x+1; if (p.y+1>h) h=p.y+1; }
+  if (w*h>MAX_TEMPLATE_CELLS) throw new Error(`template grid ${w}×${h} is too large to encode`);
+  const colors=[], idx=new Map(), grid=new Int32Array(w*h).fill(-1);
+  for (const p of pixels){
+    let i=idx.get(p.color);
+    if (i===undefined){ i=colors.length; colors.push(p.color); idx.set(p.color, i); }
+    grid[p.y*w+p.x]=i;
+  }
+  return { width:w, height:h, colors, rle:rleEncode(grid) };
+};
+// inverse of encodeTemplate → { pixels (row-major, colors unchecked), grid }; throws on malformed input
+const decodeTemplate = (t)=>{
+  if (!t || !Number.isInteger(t.width) || !Number.isInteger(t.height) || t.width<0 || t.height<0 || t.width*t.height>MAX_TEMPLATE_CELLS) {
+    throw new Error('template width/height invalid');
+  }
+  if (!Array.isArray(t.colors) || !t.colors.every(c=>typeof c==='string')) throw new Error('template colors must be strings');
+  const grid=rleDecode(t.rle, t.width*t.height, t.colors.length-1);
+  const pixels=[];
+  for (let i=0;i<grid.length;i++) if (grid[i]>=0) pixels.push({ x:i%t.width, y:Math.floor(i/t.width), color:t.colors[grid[i]] });
+  return { pixels, grid };
+};
+
+// PNG metadata: a tEXt chunk (keyword \0 Latin-1 text) holding the project JSON
+const PNG_META_KEY = 'wplace-bot-project';
+const CRC_TABLE = (()=>{
+  const t=new Uint32Array(256);
+  for (let n=0;n<256;n++){ let c=n; for (let k=0;k<8;k++) c = c&1 ? 0xEDB88320^(c>>>1) : c>>>1; t[n]=c>>>0; }
+  return t;
+})();
+const crc32 = (bytes)=>{ let c=0xFFFFFFFF; for (const b of bytes) c=CRC_TABLE[(c^b)&0xFF]^(c>>>8); return (c^0xFFFFFFFF)>>>0; };
+const isPng = (u8)=>u8.length>8 && u8[0]===0x89 && u8[1]===0x50 && u8[2]===0x4E && u8[3]===0x47;
+// walk chunks → [{type, start, end, data}] (start/end include length, type and CRC)
+const pngChunks = (png)=>{
+  const dv=new DataView(png.buffer, png.byteOffset, png.byteLength), out=[];
+  for (let off=8; off+12<=png.length;){
+    const len=dv.getUint32(off), type=String.fromCharCode(png[off+4],png[off+5],png[off+6],png[off+7]);
+    out.push({ type, start:off, end:off+12+len, data:png.subarray(off+8, off+8+len) });
+    if (type==='IEND') break;
+    off+=12+len;
+  }
+  return out;
+};
+const pngWithText = (png, keyword, text)=>{
+  const iend=pngChunks(png).find(c=>c.type==='IEND');
+  if (!iend) throw new Error('PNG without IEND');
+  const body=keyword+'\0'+text, chunk=new Uint8Array(12+body.length), dv=new DataView(chunk.buffer);
+  dv.setUint32(0, body.length);
+  for (let i=0;i<4;i++) chunk[4+i]='tEXt'.charCodeAt(i);
+  for (let i=0;i<body.length;i++) chunk[8+i]=body.charCodeAt(i)&0xFF;
+  dv.setUint32(8+body.length, crc32(chunk.subarray(4, 8+body.length)));
+  const out=new Uint8Array(png.length+chunk.length);
+  out.set(png.subarray(0, iend.start)); out.set(chunk, iend.start); out.set(png.subarray(iend.start), iend.start+chunk.length);
+  return out;
+};
+const pngReadText = (png, keyword)=>{
+  for (const c of pngChunks(png)){
+    if (c.type!=='tEXt') continue;
+    const z=c.data.indexOf(0);
+    let key='', text='';
+    for (let i=0;i<z;i++) key+=String.fromCharCode(c.data[i]);
+    if (z<0 || key!==keyword) continue;
+    for (let i=z+1;i<c.data.length;i++) text+=String.fromCharCode(c.data[i]);
+    return text;
+  }
+  return null;
+};
+
+// ===== TEAM CODES =====
+// "WPT1." + base64url(flag byte + body); flag 1 = body is deflate-raw compressed (when that is shorter).
+// body (LEB128 varints): name, then the core — anchor, grid size, colors (3 bytes each), template RLE — then sections.
+// The team id is a hash of the core, so renaming or re-sectioning a template keeps members' reports mergeable.
+const TEAM_CODE_PREFIX = 'WPT1.';
+const PROGRESS_FORMAT = 'wplace-bot-progress';
+const SECTION_TYPES = ['rect', 'tile', 'mask'];
+const byteWriter = ()=>{
+  const out=[];
+  const w={
+    byte(b){ out.push(b & 255); return w; },
+    uint(n){
+      if (!Number.isInteger(n) || n<0) throw new Error(`cannot encode ${n}`);
+      do { const b=n%128; n=Math.floor(n/128); out.push(n ? b|128 : b); } while (n);
+      return w;
+    },
+    raw(u8){ for (const b of u8) out.push(b); return w; },
+    str(s){ const u8=new TextEncoder().encode(s); return w.uint(u8.length).raw(u8); },
+    rle(rle, shift){ w.uint(rle.length/2); for (let i=0;i<rle.length;i+=2) w.uint(rle[i]).uint(rle[i+1]+shift); return w; },
+    done(){ return Uint8Array.from(out); }
+  };
+  return w;
+};
+const byteReader = (u8)=>{
+  let i=0;
+  const need=(n)=>{ if (i+n>u8.length) throw new Error('team code is truncated'); };
+  const r={
+    get pos(){ return i; },
+    byte(){ need(1); return u8[i++]; },
+    uint(){
+      let n=0, m=1, b;
+      do { b=r.byte(); n+=(b & 127)*m; m*=128; if (m>2**49) throw new Error('team code holds a bad number'); } while (b & 128);
+      return n;
+    },
+    str(){ const n=r.uint(); need(n); return new TextDecoder().decode(u8.subarray(i, i+=n)); },
+    rle(shift){ const n=r.uint(), out=[]; need(2*n); for (let k=0;k<n;k++) out.push(r.uint(), r.uint()-shift); return out; },
+    end(){ if (i!==u8.length) throw new Error('team code has trailing data'); }
+  };
+  return r;
+};
+const fnv1a = (u8)=>{ let h=0x811c9dc5; for (const b of u8) h=Math.imul(h^b, 0x01000193); return (h>>>0).toString(16).padStart(8,'0'); };
+const toBase64Url = (u8)=>{
+  let s='';
+  for (let i=0;i<u8.length;i+=0x8000) s+=String.fromCharCode(...u8.subarray(i, i+0x8000));
+  return btoa(s).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
+};
+const fromBase64Url = (s)=>Uint8Array.from(atob(s.replace(/-/g,'+').replace(/_/g,'/')), c=>c.charCodeAt(0));
+const pipeBytes = async (u8, stream)=>new Uint8Array(await new Response(new Blob([u8]).stream().pipeThrough(stream)).arrayBuffer());
+// {name, anchor, template (from encodeTemplate), sections} → { code, id }
+const encodeTeamCode = async ({name='', anchor=null, template, sections=[]})=>{
+  const core=byteWriter();
+  if (anchor) core.uint(1).uint(anchor.x).uint(anchor.y); else core.uint(0);
+  core.uint(template.width).uint(template.height).uint(template.colors.length);
+  for (const c of template.colors) {
+    if (!/^#[0-9a-f]{6}$/i.test(c)) throw new Error(`color ${c} is not #rrggbb`);
+    for (let k=1;k<7;k+=2) core.byte(parseInt(c.slice(k, k+2), 16));
+  }
+  const coreBytes=core.rle(template.rle, 1).done();
+  const w=byteWriter().str(name).raw(coreBytes).uint(sections.length);
+  for (const sec of sections) {
+    w.str(sec.name).uint(SECTION_TYPES.indexOf(sec.type));
+    if (sec.type==='mask') w.uint(sec.w).uint(sec.h).rle(sec.rle, 0);
+    else w.uint(sec.x).uint(sec.y).uint(sec.w).uint(sec.h);
+  }
+  let body=w.done(), flag=0;
+  if (typeof CompressionStream!=='undefined') {
+    const z=await pipeBytes(body, new CompressionStream('deflate-raw'));
+    if (z.length<body.length) { body=z; flag=1; }
+  }
+  const out=new Uint8Array(body.length+1);
+  out[0]=flag; out.set(body, 1);
+  return { code:TEAM_CODE_PREFIX+toBase64Url(out), id:fnv1a(coreBytes) };
+};
+// inverse of encodeTeamCode → {name, anchor, template, sections, id}; throws on malformed codes (the template is checked by decodeTemplate)
+const decodeTeamCode = async (code)=>{
+  const s=typeof code==='string' ? code.replace(/\s+/g,'') : '';
+  if (!s.startsWith(TEAM_CODE_PREFIX)) throw new Error(`a team code starts with ${TEAM_CODE_PREFIX}`);
+  let raw;
+  try{ raw=fromBase64Url(s.slice(TEAM_CODE_PREFIX.length)); }catch{ throw new Error('team code is not valid base64url'); }
+  if (!raw.length || raw[0]>1) throw new Error('team code has unknown flags');
+  let body=raw.subarray(1);
+  if (raw[0]===1) {
+    if (typeof DecompressionStream==='undefined') throw new Error('this browser cannot unpack compressed team codes');
+    try{ body=await pipeBytes(body, new DecompressionStream('deflate-raw')); }catch{ throw new Error('team code is corrupted'); }
+  }
+  const r=byteReader(body), name=r.str(), from=r.pos;
+  const anchor=r.uint() ? { x:r.uint(), y:r.uint() } : null;
+  const width=r.uint(), height=r.uint(), colors=[];
+  for (let n=r.uint(); n>0; n--) colors.push('#'+[r.byte(), r.byte(), r.byte()].map(b=>b.toString(16).padStart(2,'0')).join(''));
+  const rle=r.rle(1), id=fnv1a(body.subarray(from, r.pos)), sections=[];
+  for (let n=r.uint(); n>0; n--) {
+    const sname=r.str(), type=SECTION_TYPES[r.uint()];
+    if (!type) throw new Error(`section "${sname}" has an unknown type`);
+    sections.push(type==='mask' ? { name:sname, type, w:r.uint(), h:r.uint(), rle:r.rle(0) }
+      : { name:sname, type, x:r.uint(), y:r.uint(), w:r.uint(), h:r.uint() });
+  }
+  r.end();
+  return { name, anchor, template:{ width, height, colors, rle }, sections, id };
+};
+
+// ===== WPLACE PALETTE =====
+// The site's colors by id (0 is "transparent"): 1–31 are free, 32–63 premium (bought per account).
+const WPLACE_PALETTE = [
+  [1,'Black',0,0,0], [2,'Dark Gray',60,60,60], [3,'Gray',120,120,120], [4,'Light Gray',210,210,210], [5,'White',255,255,255],
+  [6,'Deep Red',96,0,24], [7,'Red',237,28,36], [8,'Orange',255,127,39], [9,'Gold',246,170,9], [10,'Yellow',249,221,59],
+  [11,'Light Yellow',255,250,188], [12,'Dark Green',14,185,104], [13,'Green',19,230,123], [14,'Light Green',135,255,94],
+  [15,'Dark Teal',12,129,110], [16,'Teal',16,174,166], [17,'Light Teal',19,225,190], [18,'Dark Blue',40,80,158],
+  [19,'Blue',64,147,228], [20,'Cyan',96,247,242], [21,'Indigo',107,80,246], [22,'Light Indigo',153,177,251],
+  [23,'Dark Purple',120,12,153], [24,'Purple',170,56,185], [25,'Light Purple',224,159,249], [26,'Dark Pink',203,0,122],
+  [27,'Pink',236,31,128], [28,'Light Pink',243,141,169], [29,'Dark Brown',104,70,52], [30,'Brown',149,104,42],
+  [31,'Beige',248,178,119],
+  [32,'Medium Gray',170,170,170], [33,'Dark Red',165,14,30], [34,'Light Red',250,128,114], [35,'Dark Orange',228,92,26],
+  [36,'Light Tan',214,181,148], [37,'Dark Goldenrod',156,132,49], [38,'Goldenrod',197,173,49], [39,'Light Goldenrod',232,212,95],
+  [40,'Dark Olive',74,107,58], [41,'Olive',90,148,74], [42,'Light Olive',132,197,115], [43,'Dark Cyan',15,121,159],
+  [44,'Light Cyan',187,250,242], [45,'Light Blue',125,199,255], [46,'Dark Indigo',77,49,184], [47,'Dark Slate Blue',74,66,132],
+  [48,'Slate Blue',122,113,196], [49,'Light Slate Blue',181,174,241], [50,'Light Brown',219,164,99], [51,'Dark Beige',209,128,81],
+  [52,'Light Beige',255,197,165], [53,'Dark Peach',155,82,73], [54,'Peach',209,128,120], [55,'Light Peach',250,182,164],
+  [56,'Dark Tan',123,99,82], [57,'Tan',156,132,107], [58,'Dark Slate',51,57,65], [59,'Slate',109,117,141],
+  [60,'Light Slate',179,185,209], [61,'Dark Stone',109,100,63], [62,'Stone',148,140,107], [63,'Light Stone',205,197,158],
+].map(([id,name,r,g,b])=>({ id, name, rgb:{r,g,b}, premium: id>=32 }));
+const WPLACE_BY_RGB = new Map(WPLACE_PALETTE.map(c=>[`${c.rgb.r},${c.rgb.g},${c.rgb.b}`, c]));
+
+// ===== TEMPLATE GENERATORS =====
+// Shapes and text as [{x,y,color}] for loadImageFromData / loadLayers. Bitmap fonts: one base-32 digit per glyph row,
+// high bit = leftmost column, glyphs in FONT_CHARS order. Lowercase is drawn as uppercase, unknown characters as '?'.
+const FONT_CHARS = ' !"#%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]_';
+const PIXEL_FONTS = {
+  '3x5': { w:3, h:5, rows:'00000222025500057575512452525322000122214222405250027200002400700000021124475557262277174771317557117471774757712227575775717020200202412421070704212471302257432575565656344436555674647746443455355755722271115255655444475775565555255526564425563656553421672222555575555255775552555522271247644463111300007' },
+  '5x7': { w:5, h:7, rows:'00000004444404aaa0000aavavaaop248j3cik8lid44800002488842842224804lel40044v4400000c48000v00000000cc01248g0ehjlphe4c4444eeh1248vv2421he26aiv22vgu11he68guhhev124888ehhehheehhf12c0cc0cc00cc0c48248g84200v0v008421248eh12404eh1dlleehhvhhhuhhuhhuehggghesihhhisvgguggvvggugggehgnhhfhhhvhhhe44444e72222ichikokihggggggvhrllhhhhhpljhhehhhhheuhhugggehhhliduhhukihfgge11uv444444hhhhhhehhhhha4hhhlllahha4ahhhhha444v1248gve88888ee22222e000000v' },
+};
+const cellKey = (x,y)=>x+','+y;
+const needInt = (v, name, min=-Infinity)=>{ if (!Number.isInteger(v) || v<min) throw new Error(`${name} must be an integer${min>-Infinity ? ` ≥ ${min}` : ''}`); return v; };
+// one color over a set of cells, without duplicates
+const paintCells = (cells, color)=>{
+  const out=[], seen=new Set();
+  for (const [x,y] of cells){ const k=cellKey(x,y); if (!seen.has(k)) { seen.add(k); out.push({x,y,color}); } }
+  return out;
+};
+const rectPixels = (x, y, w, h, color='#000000')=>{
+  needInt(x,'x'); needInt(y,'y'); needInt(w,'w',1); needInt(h,'h',1);
+  if (w*h>MAX_TEMPLATE_CELLS) throw new Error('rect is too large');
+  const out=[]; for (let j=0;j<h;j++) for (let i=0;i<w;i++) out.push({ x:x+i, y:y+j, color });
+  return out;
+};
+const borderPixels = (x, y, w, h, color='#000000', thickness=1)=>{
+  needInt(thickness,'thickness',1);
+  const t=thickness;
+  return rectPixels(x,y,w,h,color).filter(p=>{ const i=p.x-x, j=p.y-y; return i<t || j<t || i>=w-t || j>=h-t; });
+};
+// Bresenham; width > 1 stamps a square brush
+const linePixels = (x0, y0, x1, y1, color='#000000', width=1)=>{
+  [x0,y0,x1,y1].forEach((v,i)=>needInt(v, ['x0','y0','x1','y1'][i])); needInt(width,'width',1);
+  const cells=[], o=Math.floor((width-1)/2);
+  const dx=Math.abs(x1-x0), dy=-Math.abs(y1-y0), sx=x0<x1?1:-1, sy=y0<y1?1:-1;
+  let err=dx+dy, x=x0, y=y0;
+  for (;;){
+    for (let j=0;j<width;j++) for (let i=0;i<width;i++) cells.push([x+i-o, y+j-o]);
+    if (x===x1 && y===y1) break;
+    const e2=2*err;
+    if (e2>=dy) { err+=dy; x+=sx; }
+    if (e2<=dx) { err+=dx; y+=sy; }
+  }
+  return paintCells(cells, color);
+};
+// cells whose centers lie within r + ½ of (cx, cy); thickness → a ring instead of a disc
+const circlePixels = (cx, cy, r, color='#000000', {thickness=0}={})=>{
+  needInt(cx,'cx'); needInt(cy,'cy'); needInt(r,'r',0); needInt(thickness,'thickness',0);
+  const out=[], outer=(r+0.5)**2, inner=thickness ? Math.max(0, r-thickness+0.5)**2 : -1;
+  for (let j=-r;j<=r;j++) for (let i=-r;i<=r;i++) {
+    const d=i*i+j*j;
+    if (d<=outer && d>inner) out.push({ x:cx+i, y:cy+j, color });
+  }
+  return out;
+};
+// outline through the points ([[x,y], …] or [{x,y}, …]); fill:true floods everything the outline encloses
+const polygonPixels = (points, color='#000000', {fill=true}={})=>{
+  if (!Array.isArray(points) || points.length<2) throw new Error('polygon needs at least 2 points');
+  const pts=points.map(p=>Array.isArray(p) ? p : [p?.x, p?.y]);
+  pts.forEach(([x,y])=>{ needInt(x,'point x'); needInt(y,'point y'); });
+  const edge=[];
+  for (let k=0;k<pts.length;k++){ const a=pts[k], b=pts[(k+1)%pts.length]; for (const p of linePixels(a[0],a[1],b[0],b[1])) edge.push([p.x,p.y]); }
+  if (!fill || pts.length<3) return paintCells(edge, color);
+  // flood the outside from a 1-cell margin around the bounding box; the rest is inside or on the outline
+  const xs=pts.map(p=>p[0]), ys=pts.map(p=>p[1]);
+  const x0=Math.min(...xs)-1, y0=Math.min(...ys)-1, w=Math.max(...xs)-x0+2, h=Math.max(...ys)-y0+2;
+  if (w*h>MAX_TEMPLATE_CELLS) throw new Error('polygon is too large');
+  const grid=new Uint8Array(w*h); // 1 = outline, 2 = outside
+  for (const [x,y] of edge) grid[(y-y0)*w+(x-x0)]=1;
+  const stack=[0]; grid[0]=2;
+  while (stack.length){
+    const i=stack.pop(), x=i%w, y=(i-x)/w;
+    for (const n of [x>0?i-1:-1, x<w-1?i+1:-1, y>0?i-w:-1, y<h-1?i+w:-1]) if (n>=0 && !grid[n]) { grid[n]=2; stack.push(n); }
+  }
+  const out=[];
+  for (let i=0;i<grid.length;i++) if (grid[i]!==2) out.push({ x:x0+i%w, y:y0+Math.floor(i/w), color });
+  return out;
+};
+// text in a bitmap font; (x, y) is the top-left of the block including the outline
+const textPixels = (text, {x=0, y=0, font='5x7', size=1, color='#000000', spacing=1, lineSpacing=2, align='left', outline=0, outlineColor='#ffffff'}={})=>{
+  const f=PIXEL_FONTS[font];
+  if (!f) throw new Error(`unknown font "${font}" (${Object.keys(PIXEL_FONTS).join(', ')})`);
+  if (typeof text!=='string') throw new Error('text must be a string');
+  needInt(x,'x'); needInt(y,'y'); needInt(size,'size',1); needInt(spacing,'spacing',0); needInt(lineSpacing,'lineSpacing',0); needInt(outline,'outline',0);
+  if (!['left','center','right'].includes(align)) throw new Error('align must be left, center or right');
+  const lines=text.split('\n'), adv=(f.w+spacing)*size;
+  const widthOf=(s)=>s.length ? s.length*adv-spacing*size : 0, maxW=Math.max(...lines.map(widthOf));
+  const ink=new Map();
+  lines.forEach((line, li)=>{
+    const ly=y+outline+li*(f.h+lineSpacing)*size;
+    let lx=x+outline+(align==='left' ? 0 : Math.floor((maxW-widthOf(line))/(align==='center' ? 2 : 1)));
+    for (const ch of line){
+      let g=FONT_CHARS.indexOf(ch.toUpperCase()); if (g<0) g=FONT_CHARS.indexOf('?');
+      for (let r=0;r<f.h;r++){
+        const bits=parseInt(f.rows[g*f.h+r], 32);
+        for (let c=0;c<f.w;c++) if (bits & (1<<(f.w-1-c)))
+          for (let j=0;j<size;j++) for (let i=0;i<size;i++) { const px=lx+c*size+i, py=ly+r*size+j; ink.set(cellKey(px,py), [px,py]); }
+      }
+      lx+=adv;
+    }
+  });
+  const out=[];
+  if (outline) { // every cell within `outline` (Chebyshev distance) of the ink
+    const ring=[];
+    for (const [px,py] of ink.values()) for (let j=-outline;j<=outline;j++) for (let i=-outline;i<=outline;i++)
+      if (!ink.has(cellKey(px+i,py+j))) ring.push([px+i,py+j]);
+    out.push(...paintCells(ring, outlineColor));
+  }
+  out.push(...paintCells(ink.values(), color));
+  return out;
+};
+// stack layers (pixel arrays, or {pixels, dx, dy}); win:'top' → later layers cover earlier ones, 'bottom' → the reverse
+const composeLayers = (layers, {win='top'}={})=>{
+  if (!Array.isArray(layers)) throw new Error('layers must be an array');
+  if (win!=='top' && win!=='bottom') throw new Error('win must be "top" or "bottom"');
+  const cells=new Map();
+  for (const layer of (win==='top' ? layers : [...layers].reverse())){
+    const {pixels, dx=0, dy=0} = Array.isArray(layer) ? {pixels:layer} : (layer || {});
+    if (!Array.isArray(pixels)) throw new Error('each layer must be a pixel array or {pixels, dx, dy}');
+    needInt(dx,'dx'); needInt(dy,'dy');
+    for (const p of pixels){ const x=p.x+dx, y=p.y+dy; cells.set(cellKey(x,y), { x, y, color:p.color }); }
+  }
+  return [...cells.values()];
+};
+const TEMPLATE_GEN = { text:textPixels, rect:rectPixels, border:borderPixels, line:linePixels, circle:circlePixels, polygon:polygonPixels, layers:composeLayers, fonts:PIXEL_FONTS };
+
+// ===== PAGE ADAPTER =====
+// Everything the bot core reads from or does to the live page. Swap it (new WPlaceBot({page})) to run headless.
+class PageAdapter {
+  // → {el, selector} or null
+  findCanvas(){
+    const sels = ['[data-testid="canvas"]', 'canvas', '#canvas', '.canvas', 'canvas[width]', 'canvas[height]'];
+    for (const s of sels) { const el = document.querySelector(s); if (el) return { el, selector:s }; }
+    return null;
+  }
+  // visible color swatches → [{element, color:'rgb(r,g,b)', locked}]
+  findSwatches(){
+    const root =
+      document.querySelector('[data-testid*="palette"]') ||
+      document.querySelector('.palette, .color-palette') ||
+      document;
+    const candidates = Array.from(root.querySelectorAll('[data-color], [role="radio"], button, [role="button"]'));
+    const looksLocked = (el, cs) => {
+      if (el.matches('[disabled],[aria-disabled="true"]')) return true;
+      if (el.getAttribute('data-locked') === 'true') return true;
+      if (el.querySelector('[class*="lock"],[aria-label*="lock"],[data-locked]')) return true;
+      return cs.cursor === 'not-allowed';
+    };
+    const out = [];
+    for (const el of candidates) {
+      const cs = getComputedStyle(el);
+      if (!cs) continue;
+      const bg = cs.backgroundColor;
+      const visible = el.offsetParent !== null && cs.display !== 'none' && cs.visibility !== 'hidden';
+      const sizeOK = (parseFloat(cs.width) >= 16 && parseFloat(cs.height) >= 16);
+      const isColor = bg && bg !== 'rgba(0, 0, 0, 0)';
+      if (visible && sizeOK && isColor) out.push({ element: el, color: bg, locked: looksLocked(el, cs) });
+    }
+    return out;
+  }
+  clickSwatch(el){ el.click(); }
+  // still in the document and rendered (not detached, display:none or visibility:hidden)
+  isLive(el){
+    if (!el || !el.isConnected || !el.getClientRects().length) return false;
+    return getComputedStyle(el).visibility !== 'hidden';
+  }
+  // open the color picker (the site's "Paint" button) → true if a button was clicked
+  openPicker(){
+    const btn = Array.from(document.querySelectorAll('button, [role="button"]')).find(b => /^\s*paint\b/i.test(b.textContent || ''));
+    if (!btn) return false;
+    btn.click();
+    return true;
+  }
+  // canvas-relative point → pointer & mouse events (covers most canvases)
+  clickAt(canvas, x, y){
+    const rect = canvas.getBoundingClientRect();
+    const clientX = rect.left + x, clientY = rect.top + y;
+    for (const type of ['pointerdown','mousedown','pointerup','mouseup','click']) {
+      try { canvas.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY, button: 0 })); } catch {}
+    }
+  }
+  // capture-phase window listener; returns the function that removes it
+  listen(type, fn){
+    window.addEventListener(type, fn, true);
+    return () => window.removeEventListener(type, fn, true);
+  }
+  // "Pixel: 1234, 567" somewhere on the page → {x,y} or null
+  readBoardCoords(){
+    const text = document.body?.innerText || '';
+    const m = /pixel[^\d\n]{0,12}(\d+)\s*[,;]\s*(\d+)/i.exec(text);
+    return m ? { x:parseInt(m[1],10), y:parseInt(m[2],10) } : null;
+  }
+  // map zoom from the URL (e.g. ?lat=…&lng=…&zoom=14.2) and the browser zoom → {zoom, dpr}
+  readZoom(){
+    const m = /[?&#]zoom=([\d.]+)/.exec(location.href);
+    return { zoom: m ? parseFloat(m[1]) : null, dpr: window.devicePixelRatio || 1 };
+  }
+  // the charge counter (e.g. "Paint 12/30 (0:27)") → {count, max, cooldownMs} or null
+  readCharges(){
+    const els = document.querySelectorAll('button, [role="button"], [class*="charge"], [class*="paint"]');
+    for (const el of els) {
+      const t = el.textContent || '';
+      const m = /(\d+)\s*\/\s*(\d+)/.exec(t);
+      if (!m || !/paint|charge/i.test(t + ' ' + (el.getAttribute('class') || ''))) continue;
+      const cd = /(\d+):(\d{2})/.exec(t);
+      return { count:parseInt(m[1],10), max:parseInt(m[2],10), cooldownMs: cd ? (parseInt(cd[1],10)*60 + parseInt(cd[2],10))*1000 : null };
+    }
+    return null;
+  }
+  // color rendered at a canvas-relative point → {r,g,b} or null (off-canvas, transparent or unreadable)
+  sampleColor(canvas, x, y){
+    try{
+      const rect = canvas.getBoundingClientRect();
+      const px = Math.floor(x*canvas.width/rect.width), py = Math.floor(y*canvas.height/rect.height);
+      if (px<0 || py<0 || px>=canvas.width || py>=canvas.height) return null;
+      const cvs = this._probe || (this._probe = document.createElement('canvas'));
+      cvs.width = 1; cvs.height = 1;
+      const ctx = cvs.getContext('2d',{willReadFrequently:true});
+      ctx.drawImage(canvas, px, py, 1, 1, 0, 0, 1, 1);
+      const d = ctx.getImageData(0,0,1,1).data;
+      return d[3]<128 ? null : { r:d[0], g:d[1], b:d[2] };
+    }catch{ return null; }
+  }
+  // one copy of the whole rendered board → {data, w, h, sx, sy} (sx/sy: canvas px per screen px) or null
+  snapshot(canvas){
+    try{
+      const rect = canvas.getBoundingClientRect();
+      const w = canvas.width, h = canvas.height;
+      const cvs = document.createElement('canvas');
+      cvs.width = w; cvs.height = h;
+      const ctx = cvs.getContext('2d',{willReadFrequently:true});
+      ctx.drawImage(canvas, 0, 0);
+      return { data: ctx.getImageData(0,0,w,h).data, w, h, sx: w/rect.width, sy: h/rect.height };
+    }catch{ return null; }
+  }
+}
+
+// ===== CROSS-TAB LOCK =====
+// All tabs share one save, so only one may draw: a Web Lock marks the drawing tab (the browser frees it when the tab
+// closes), a BroadcastChannel tells the other tabs who holds it. Swap it (new WPlaceBot({tabLock})) to run headless.
+class TabLock {
+  constructor(channel='wplace-bot'){
+    this.tabId = Math.random().toString(36).slice(2, 8);
+    this.channelName = channel;
+    this._channel = null;
+  }
+  get available(){ return typeof navigator !== 'undefined' && !!navigator.locks; }
+  // → a release function once the lock is held; null when ifAvailable and someone else has it
+  acquire(name, {ifAvailable=false}={}){
+    return new Promise((resolve, reject)=>{
+      navigator.locks.request(name, { ifAvailable }, (lock)=>{
+        if (!lock) { resolve(null); return; }
+        return new Promise((release)=>resolve(release)); // held until release() is called or the tab closes
+      }).catch(reject);
+    });
+  }
+  post(msg){ this._open()?.postMessage({ ...msg, tabId:this.tabId }); }
+  // fn(msg) for messages from other tabs → off()
+  listen(fn){
+    const ch = this._open(); if (!ch) return ()=>{};
+    const handler = (ev)=>fn(ev.data);
+    ch.addEventListener('message', handler);
+    return ()=>ch.removeEventListener('message', handler);
+  }
+  _open(){
+    if (!this._channel && typeof BroadcastChannel !== 'undefined') this._channel = new BroadcastChannel(this.channelName);
+    return this._channel;
+  }
+}
+
+// rows of objects → aligned plain text, for places without console.table (panel log, tests)
+const tableText = (rows)=>{
+  const cols=[...new Set(rows.flatMap(r=>Object.keys(r)))];
+  const cells=[cols, ...rows.map(r=>cols.map(c=>r[c]==null ? '' : typeof r[c]==='object' ? JSON.stringify(r[c]) : String(r[c])))];
+  const width=cols.map((_,i)=>Math.max(...cells.map(line=>line[i].length)));
+  return cells.map(line=>line.map((v,i)=>v.padEnd(width[i])).join('  ').trimEnd()).join('\n');
+};
+
 class WPlaceBot {
-  constructor() {
+  constructor({ page, store, tabLock } = {}) {
     // ---------- STATE ----------
     this.isRunning = false;
     this.delay = 600;                 // ms per pixel (tune as needed)
-    this.currentPixel = 0;
+    this.currentPixel = 0;            // pixels[0..currentPixel) are done, the rest is the work list
+    this.sections = [];               // named template regions (see addSection / splitSections / addMaskSection)
+    this.activeSection = null;        // name of the section being drawn (null → whole template)
+    this._runEnd = 0;                 // the loop stops here: the active section's pending pixels come first
+    this._maskCache = new WeakMap();  // mask section → decoded 0/1 bits
+    this.teamId = null;               // team code the template came from (progress reports are merged by it)
     this.pixels = [];                 // [{x,y,color:"#RRGGBB"}, ...]
     this.startX = 0;
     this.startY = 0;
     this.canvas = null;
+    this.page = page || new PageAdapter(); // all page access of the core (canvas, palette, clicks, counters)
 
     // Color palette entries: { element, color:'rgb(r,g,b)', locked:boolean }
     this.colorPalette = [];
     this.selectedColor = '#000000';
     this.useAutoPalette = true;       // if false → manual color mode (you pick in UI)
     this.lockedColorMode = 'map';     // 'skip' | 'map' | 'manual'
+    this.ditherMode = 'none';         // 'none' | 'floyd-steinberg' | 'atkinson' | 'ordered'
+    this.colorMetric = 'rgb';         // 'rgb' | 'weighted' | 'lab' | 'ciede2000'
+    this._labCache = new Map();
+    this._pickedEntry = null;         // swatch clicked last (no re-click while the color stays the same)
+    this._remapped = false;           // last selectColorSmart() replaced a locked color
+    this.coverageOnStart = true;      // print coverageReport() before drawing
+    this.preprocess = { ...PREPROCESS_DEFAULTS }; // image loads: crop/size/resample/adjust (see setPreprocess)
+
+    // Drawing order: 'row' | 'color' | 'outline' | 'spiral' | 'random' | 'custom'
+    this.drawOrder = 'row';
+    this.orderSeed = 1;               // for 'random'
+    this._orderComparator = null;     // for 'custom' (not persisted: functions can't be saved)
+    this.orderStrategies = { ...ORDER_STRATEGIES }; // plugins may add or replace entries (addOrderStrategy)
+    this.gen = TEMPLATE_GEN;          // shape/text generators → pixel arrays (see loadLayers)
+    this.colorMatcher = null;         // (targetHex, entries) => entry — replaces nearest-color matching (setColorMatcher)
 
     // Grid cell (screen px) — MUST calibrate once per zoom for contiguous pixels
     this.cellW = null;                // e.g. 14
     this.cellH = null;                // e.g. 14
+    this.cellFp = null;               // {zoom, dpr, stale?} when cellW/cellH were measured: anchored drawing needs the same zoom
+    this.grid = null;                 // float affine grid {a,b,c,d, fp} from calibrateGrid(): screen px per cell (x: a,c; y: b,d)
+    this.gridDirty = false;           // zoom changed since calibrateGrid() → no drawing until recalibrated
+    this._zoomWatch = null;
+
+    // ---------- BOARD ANCHOR ----------
+    this.anchor = null;               // {x,y} board pixel of the template's top-left (null → screen mode)
+    this.view = null;                 // {bx,by,cx,cy}: board pixel (bx,by) is centered at canvas point (cx,cy)
+    this.viewDirty = false;           // pan/zoom detected → drawing pauses until syncView()
+    this._viewWatch = null;
+
+    // ---------- CHARGES ----------
+    this.chargeAware = true;          // place only while the site shows charges left; else fixed delay
+    this.resumeCharges = 1;           // when out of charges, wait until this many are back
+    this.chargeRefillMs = 30000;      // assumed time per charge if the site shows no cooldown
+    this.nextResumeAt = null;         // timestamp when drawing continues (while waiting for charges)
+
+    // ---------- READ-BACK ----------
+    this.diffMode = false;            // check the board before each click; skip cells that are already right
+    this.verifyTolerance = 24;        // max RGB distance for "already correct"
+    this._maintainTimer = null;
+
+    // ---------- PREVIEW ----------
+    this.previewOpacity = 0.5;        // 0..1
+    this.previewNudge = true;         // arrow keys move the origin while the preview is shown
+    this._preview = null;
 
     // ---------- PERSISTENCE ----------
     this.imageName = 'Custom Image';
-    this.stateKey = 'WPLACE_BOT_STATE_V1';
-    this.autosaveEvery = 20;          // save every N pixels
-    this.largeSaveCap = 50000;        // cap remaining array saved to localStorage
+    this.store = store || ((typeof indexedDB !== 'undefined') ? new IdbStore('WPLACE_BOT') : new LocalStore('WPLACE_BOT:'));
+    this.autosaveEvery = 20;          // save progress every N pixels (a tiny write: the cursor)
+    this.stateKey = 'WPLACE_BOT_STATE_V1';   // legacy localStorage keys, migrated on init
+    this.queueKey = 'WPLACE_BOT_QUEUE_V1';
+    this._saveChain = Promise.resolve();
+    this._writtenPixels = new Map();  // store key → pixels array last written there (skip rewriting unchanged templates)
+
+    // ---------- UNDO ----------
+    this.undoCapture = true;          // read each target cell before clicking it (needs a readable board)
+    this.undoLog = [];                // [{x, y, color:'#rrggbb'|null, pl}] oldest first; saved under 'undo' / 'undo:N'
+    this.undoPlacements = [];         // [{imageName, projectId, startX, startY, anchor, cellW, cellH, grid}] where entries were drawn
+    this.undoOf = null;               // the live template restores this project (its clicks are not recorded)
+    this._writtenUndo = null;         // {log, n}: what is already in the store
+
+    // ---------- STATS / HISTORY ----------
+    this.stats = null;                // current (or last) run: counters, per-color totals, recent click times
+    this.history = [];                // finished runs, persisted under 'history' (see exportHistory)
+    this.historyLimit = 500;          // oldest runs are dropped beyond this
+    this.progressLogEvery = 100;      // log a progress line every N placed pixels (0 → off)
+
+    // ---------- PROJECT QUEUE ----------
+    // { id, priority, paused, ...per-project fields (see _captureProject) }
+    this.projects = [];
+    this.activeProjectId = null;      // project the live template belongs to (null → not queued)
+    this._queueRunning = false;
+
+    // ---------- AUTO-RESUME / TAB LOCK ----------
+    this.autoResume = false;          // on init, resume a saved session by itself (setAutoResume; saved per browser)
+    this.autoResumeTimeoutMs = 120000; // give up if the canvas/palette don't show up within this time
+    this.tabLock = tabLock || new TabLock();
+    this.lockName = 'wplace-bot:draw';
+    this.lockOwner = null;            // {tabId, imageName, currentPixel, total, running} of the tab drawing elsewhere
+    this._releaseLock = null;         // set while this tab holds the drawing lock
+    this._tabsWatch = null;
+    this._autoResuming = false;       // an auto-resume is waiting for the board
+
+    // ---------- WATCHDOG ----------
+    // checks the page before every pixel: canvas/swatches detached or hidden, picker closed, clicks that don't show up
+    this.watchdog = {
+      enabled: true,
+      checkClicks: true,              // read back the previous pixel (needs a readable board; turn off if the site shows pixels late)
+      maxMisses: 3,                   // consecutive clicks without effect before recovering
+      retries: 5,                     // rediscovery attempts before giving up
+      backoffMs: 1000,                // first wait; doubles per attempt…
+      maxBackoffMs: 30000,            // …up to this
+    };
+    this.fault = null;                // {code, message, index, attempts, at} when the watchdog gave up (cleared by start)
 
     // ---------- VERSION ----------
     this.version = '1.5.0';
@@ -51,77 +840,289 @@ class WPlaceBot {
     this._skipWarned = false;
     this._manualWarned = false;
     this._autoWarned = false;
+    this._rawWarned = false;
+    this._chargeWarned = false;
+    this._undoWarned = false;
+    this._lockWarned = false;
+
+    // ---------- PANEL ----------
+    this.showPanelOnInit = true;      // inject the on-page control panel when the bot starts
+    this._panel = null;
+
+    // ---------- EVENTS / PLUGINS ----------
+    this._handlers = new Map();       // event → Set of handlers
+    this._hooks = { beforePixel:[], afterPixel:[] };
+    this.plugins = [];
   }
 
   // ===== INIT =====
-  init() {
-    console.log('🎨 WPlace Bot initialized! v' + this.version);
+  async init() {
+    this._log('🎨 WPlace Bot initialized! v' + this.version);
     this.findCanvas();
     this.findColorPalette();
-    const restored = this.loadState();
-    if (restored) console.log('🔁 Found previous session. Use wplaceBot.resume() to continue.');
+    await this._openStore();
+    await this._migrateLegacy();
+    const restored = await this.loadState();
+    await this.loadQueue();
+    await this._loadHistory();
+    await this._loadUndo();
+    await this._loadSettings();
+    this._watchTabs();
+    if (restored && !this.autoResume) this._log('🔁 Found previous session. Use wplaceBot.resume() to continue (or wplaceBot.setAutoResume(true)).');
     this.printHelp();
     this.printDonation();
+    if (this.showPanelOnInit && typeof document !== 'undefined') this.showPanel();
+    if (restored && this.autoResume) this._autoResume().catch(e=>this._error('❌ Auto-resume failed:', e)); // runs on its own: may wait for another tab
   }
 
-  // ===== CANVAS =====
-  findCanvas() {
-    const sels = [
-      '[data-testid="canvas"]',
-      'canvas',
-      '#canvas',
-      '.canvas',
-      'canvas[width]',
-      'canvas[height]'
-    ];
-    for (const s of sels) {
-      const el = document.querySelector(s);
-      if (el) { this.canvas = el; console.log('✅ Canvas found via:', s); return; }
+  // ===== AUTO-RESUME & CROSS-TAB LOCK =====
+  async _loadSettings(){
+    try{
+      const s = await this.store.get('settings');
+      if (s && typeof s.autoResume === 'boolean') this.autoResume = s.autoResume;
+    }catch(e){ this._warn('⚠️ Could not read settings:', e); }
+  }
+  setAutoResume(on=true){
+    this.autoResume = !!on;
+    this._log(`🔁 Auto-resume on load: ${this.autoResume ? 'ON (a saved session restarts once the canvas and palette are found)' : 'OFF'}`);
+    return this._write([['settings', { autoResume:this.autoResume }]]);
+  }
+  // wait for the board, take the drawing lock (possibly after another tab closes), then continue the saved session
+  async _autoResume(){
+    if (this._autoResuming) return false;
+    this._autoResuming = true;
+    let resumed = false;
+    try{
+      if (!(await this._claimTab({ wait:true }))) return false;
+      // the previous owner may have drawn more in the meantime
+      if (!(await this.loadState())) { this._log('ℹ️ Auto-resume: no saved session left'); return false; }
+      if (!(await this._waitForBoard())) { this._warn(`⚠️ Auto-resume: canvas or palette not found within ${Math.round(this.autoResumeTimeoutMs/1000)}s → use wplaceBot.resume()`); return false; }
+      this._log(`🔁 Auto-resume: continuing "${this.imageName}" at pixel #${this.currentPixel+1}/${this.pixels.length}`);
+      resumed = true;
+      await this.start();
+      return true;
+    } finally {
+      this._autoResuming = false;
+      if (!resumed && this._releaseLock) this.releaseTab(); // nothing to draw here: a waiting tab may take over
+    }
+  }
+  // polls quietly until the page has a canvas and palette swatches
+  async _waitForBoard(){
+    const until = Date.now() + this.autoResumeTimeoutMs;
+    for (;;) {
+      if (this.page.findCanvas() && this.page.findSwatches().length) { this.findCanvas(); this.findColorPalette(); return true; }
+      if (Date.now() >= until) return false;
+      await this.sleep(1000);
+    }
+  }
+  // true once this tab may draw; wait:false refuses when another tab draws, wait:true queues until that tab closes
+  async _claimTab({ wait=false }={}){
+    if (this._releaseLock) return true;
+    if (!this.tabLock.available) {
+      if (!this._lockWarned) { this._warn('⚠️ No Web Locks in this browser → other tabs are not kept from drawing the same session.'); this._lockWarned = true; }
+      return true;
     }
-    console.error('❌ Canvas not found. Make sure the board is visible.');
+    this._watchTabs();
+    await this._saveChain; // a pending save of this tab holds the lock for a moment
+    let release = await this.tabLock.acquire(this.lockName, { ifAvailable:true });
+    if (!release) {
+      this.tabLock.post({ type:'who' });
+      await this.sleep(300); // the owner answers with an 'owner' message
+      const who = this._ownerText();
+      if (!wait) { this._warn(`🔒 ${who} is drawing. Close it (or run wplaceBot.releaseTab() there) to draw here.`); return false; }
+      this._log(`🔒 ${who} is drawing → this tab takes over when it closes.`);
+      release = await this.tabLock.acquire(this.lockName);
+      this._log('🔓 Drawing lock acquired: the other tab is gone.');
+    }
+    this._releaseLock = release;
+    this.lockOwner = null;
+    this._announceOwner();
+    return true;
+  }
+  // let another tab draw (the lock is otherwise kept until this tab closes)
+  releaseTab(){
+    if (!this._releaseLock) { this._log('ℹ️ This tab does not hold the drawing lock'); return false; }
+    if (this.isRunning) this.stop();
+    this._releaseLock();
+    this._releaseLock = null;
+    this.tabLock.post({ type:'released' });
+    this._log(`🔓 Drawing lock released (tab ${this.tabLock.tabId})`);
+    return true;
+  }
+  _ownerText(){
+    const o = this.lockOwner;
+    return o ? `Tab ${o.tabId} ("${o.imageName}", ${o.currentPixel}/${o.total}${o.running ? ', running' : ''})` : 'Another tab';
+  }
+  _announceOwner(){
+    if (!this._releaseLock) return;
+    this.tabLock.post({ type:'owner', imageName:this.imageName, currentPixel:this.currentPixel, total:this.pixels.length, running:this.isRunning });
+  }
+  // answer "who draws?" while holding the lock; remember the owner otherwise
+  _watchTabs(){
+    if (this._tabsWatch) return;
+    const offs = [
+      this.tabLock.listen((msg)=>{
+        if (!msg || msg.tabId === this.tabLock.tabId) return;
+        if (msg.type === 'who') this._announceOwner();
+        else if (msg.type === 'owner') {
+          const first = !this.lockOwner || this.lockOwner.tabId !== msg.tabId;
+          this.lockOwner = { tabId:msg.tabId, imageName:msg.imageName, currentPixel:msg.currentPixel, total:msg.total, running:!!msg.running };
+          if (first && !this._releaseLock) this._log(`🔒 Tab ${msg.tabId} is drawing "${msg.imageName}"`);
+        }
+        else if (msg.type === 'released' && this.lockOwner?.tabId === msg.tabId) this.lockOwner = null;
+      }),
+      this.on('save', ()=>this._announceOwner()),
+    ];
+    this._tabsWatch = { off:()=>offs.forEach(f=>f()) };
   }
 
-  // ===== PALETTE (LOCK-AWARE) =====
-  findColorPalette() {
-    this.colorPalette = [];
-    const root =
-      document.querySelector('[data-testid*="palette"]') ||
-      document.querySelector('.palette, .color-palette') ||
-      document;
+  // ===== LOGGING =====
+  // every bot message goes through here and out as a 'log' event (the panel mirrors it)
+  _out(level, args){
+    console[level](...args);
+    this.emit('log', { level, args });
+  }
+  _log(...args){ this._out('log', args); }
+  _warn(...args){ this._out('warn', args); }
+  _error(...args){ this._out('error', args); }
+  // rows → console.table, and a 'log' event with level 'table' (the panel prints it as text)
+  _table(rows){ if (rows.length) this._out('table', [rows]); }
 
-    const candidates = Array.from(
-      root.querySelectorAll('[data-color], [role="radio"], button, [role="button"]')
-    );
+  // ===== EVENTS & PLUGINS =====
+  // events: start, pixel, colorChange, skip, save, paused, resumed, finished, error, log — see README for payloads
+  on(event, fn){
+    if (typeof fn !== 'function') { this._warn('on(event, fn): fn must be a function'); return ()=>{}; }
+    if (!this._handlers.has(event)) this._handlers.set(event, new Set());
+    this._handlers.get(event).add(fn);
+    return ()=>this.off(event, fn);
+  }
+  off(event, fn){ this._handlers.get(event)?.delete(fn); }
+  once(event, fn){
+    const off=this.on(event, (payload)=>{ off(); fn(payload); });
+    return off;
+  }
+  emit(event, payload={}){
+    const set=this._handlers.get(event);
+    if (!set) return;
+    for (const fn of [...set]) {
+      // console directly: a throwing 'log' handler would otherwise recurse through _warn
+      try{ fn(payload); }catch(e){ console.warn(`⚠️ '${event}' handler failed:`, e); }
+    }
+  }
+  // plugin: function(bot) or { name, install(bot), beforePixel(ctx), afterPixel(ctx), orders:{name:fn}, colorMatcher, on:{event:fn} }
+  use(plugin){
+    if (typeof plugin === 'function') plugin = { name: plugin.name || 'plugin', install: plugin };
+    if (!plugin || typeof plugin !== 'object') { this._warn('use(plugin): plugin must be a function or an object'); return this; }
+    if (this.plugins.includes(plugin)) return this;
+    for (const [name, fn] of Object.entries(plugin.orders || {})) this.addOrderStrategy(name, fn);
+    if (plugin.colorMatcher) this.setColorMatcher(plugin.colorMatcher);
+    for (const [event, fn] of Object.entries(plugin.on || {})) this.on(event, fn);
+    for (const k of ['beforePixel','afterPixel']) if (typeof plugin[k] === 'function') this._hooks[k].push(plugin[k].bind(plugin));
+    plugin.install?.(this);
+    this.plugins.push(plugin);
+    this._log(`🧩 Plugin "${plugin.name || 'plugin'}" installed`);
+    return this;
+  }
+  // fn(px, {all, seed, comparator}) → new array in drawing order (must not reorder px in place)
+  addOrderStrategy(name, fn){
+    if (typeof name !== 'string' || !/^[\w-]{1,40}$/.test(name) || name === 'custom') { this._warn('order strategy name must be a word (not "custom")'); return; }
+    if (typeof fn !== 'function') { this._warn('order strategy must be a function'); return; }
+    this.orderStrategies[name] = fn;
+    this._log(`🧭 Order strategy "${name}" registered`);
+  }
+  // fn(targetHex, entries) → palette entry (or null); null restores the built-in nearest-color match
+  setColorMatcher(fn){
+    if (fn !== null && typeof fn !== 'function') { this._warn('colorMatcher must be a function or null'); return; }
+    this.colorMatcher = fn;
+    this._log(`🎯 Color matcher: ${fn ? 'custom' : 'built-in'}`);
+  }
+  // false if any beforePixel hook vetoed the pixel
+  async _beforePixel(ctx){
+    for (const fn of this._hooks.beforePixel) if ((await fn(ctx)) === false) return false;
+    return true;
+  }
+  async _afterPixel(ctx){
+    for (const fn of this._hooks.afterPixel) await fn(ctx);
+  }
 
-    const looksLocked = (el) => {
-      if (el.matches('[disabled],[aria-disabled="true"]')) return true;
-      if (el.getAttribute('data-locked') === 'true') return true;
-      if (el.querySelector('[class*="lock"],[aria-label*="lock"],[data-locked]')) return true;
-      const cs = getComputedStyle(el);
-      if (cs.cursor === 'not-allowed') return true;
-      return false;
-    };
+  // ===== CANVAS =====
+  findCanvas() {
+    const found = this.page.findCanvas();
+    if (found) { this.canvas = found.el; this._log('✅ Canvas found via:', found.selector); return; }
+    this._error('❌ Canvas not found. Make sure the board is visible.');
+  }
 
-    for (const el of candidates) {
-      const cs = getComputedStyle(el);
-      if (!cs) continue;
-      const bg = cs.backgroundColor;
-      const visible = el.offsetParent !== null && cs.display !== 'none' && cs.visibility !== 'hidden';
-      const sizeOK = (parseFloat(cs.width) >= 16 && parseFloat(cs.height) >= 16);
-      const isColor = bg && bg !== 'rgba(0, 0, 0, 0)';
-      if (visible && sizeOK && isColor) {
-        this.colorPalette.push({ element: el, color: bg, locked: looksLocked(el) });
-      }
-    }
+  // ===== PALETTE (LOCK-AWARE) =====
+  findColorPalette() {
+    const found = this.page.findSwatches();
+    const known = found.filter(e => this.catalogColor(e.color));
+    // once swatches match the site's palette exactly, other colored buttons on the page are not swatches
+    this.colorPalette = (known.length ? known : found).map(e => {
+      const c = this.catalogColor(e.color);
+      return c ? { ...e, id:c.id, name:c.name, premium:c.premium } : e;
+    });
+    this._pickedEntry = null;
 
     const unlocked = this.colorPalette.filter(c => !c.locked).length;
     const locked = this.colorPalette.length - unlocked;
-    console.log(`🎨 Palette detected: ${this.colorPalette.length} (unlocked: ${unlocked}, locked: ${locked})`);
+    this._log(`🎨 Palette detected: ${this.colorPalette.length} (unlocked: ${unlocked}, locked: ${locked})`);
+    if (known.length && known.length < found.length) this._log(`🎨 ${found.length-known.length} colored button(s) not in the wplace palette → ignored`);
+    if (found.length && !known.length) this._warn('⚠️ No swatch matches the built-in wplace palette → using every colored button (did the site change its colors?)');
     if (!this.colorPalette.length) {
-      console.warn('ℹ️ No palette detected. Open the color picker in the UI, then run: wplaceBot.refreshPalette()');
+      this._warn('ℹ️ No palette detected. Open the color picker in the UI, then run: wplaceBot.refreshPalette()');
     }
   }
   refreshPalette(){ this.findColorPalette(); }
+  // built-in palette entry with exactly this color ('rgb(…)' or '#rrggbb') → {id, name, rgb, premium} or null
+  catalogColor(color){
+    const c = /^#/.test(color || '') ? this.hexToRgb(color) : this.rgbStringToObject(color);
+    return c ? (WPLACE_BY_RGB.get(`${c.r},${c.g},${c.b}`) || null) : null;
+  }
+
+  // ===== COVERAGE =====
+  // which palette color each pending pixel lands on, how many need locked colors, and what lockedColorMode does with them
+  coverageReport({print=true}={}){
+    if (!this.pixels.length) { this._warn('⚠️ Load an image first'); return null; }
+    const detected = this.colorPalette.length > 0;
+    // without a detected palette: the built-in one, assuming premium colors are not bought
+    const entries = detected ? this.colorPalette
+      : WPLACE_PALETTE.map(c=>({ color:`rgb(${c.rgb.r}, ${c.rgb.g}, ${c.rgb.b})`, id:c.id, name:c.name, premium:c.premium, locked:c.premium }));
+    const label = (e) => e.name || this.rgbToHex(e.color);
+    const byHex = new Map(), rows = new Map();
+    let lockedPixels = 0;
+    const pending = this.pixels.length - this.currentPixel;
+    for (let i=this.currentPixel; i<this.pixels.length; i++) {
+      const hex = this.pixels[i].color;
+      let m = byHex.get(hex);
+      if (!m) {
+        const e = this.findClosestEntry(hex, {entries});
+        const to = e?.locked && this.lockedColorMode === 'map' ? this.findClosestEntry(hex, {entries, onlyUnlocked:true}) : null;
+        byHex.set(hex, m = { e, to });
+      }
+      if (!m.e) continue;
+      let r = rows.get(m.e);
+      if (!r) rows.set(m.e, r = { entry:m.e, pixels:0, to:new Set() });
+      r.pixels++;
+      if (m.to) r.to.add(label(m.to));
+      if (m.e.locked) lockedPixels++;
+    }
+    const action = (r) => !r.entry.locked ? 'draw'
+      : this.lockedColorMode === 'skip' ? 'skip'
+      : this.lockedColorMode === 'manual' ? 'manual (you pick)'
+      : r.to.size ? '→ ' + [...r.to].join(', ') : 'manual (no unlocked color)';
+    const colors = [...rows.values()].sort((a,b)=>b.pixels-a.pixels).map(r=>({
+      color: label(r.entry), hex: this.rgbToHex(r.entry.color), tier: r.entry.premium==null ? '?' : r.entry.premium ? 'premium' : 'free',
+      locked: !!r.entry.locked, pixels: r.pixels, share: pending ? +(r.pixels/pending*100).toFixed(1) : 0, action: action(r),
+    }));
+    const report = { pending, lockedPixels, lockedColorMode:this.lockedColorMode, paletteDetected:detected, colors };
+    if (print) {
+      this._log(`📊 Coverage: ${pending} px left over ${colors.length} color(s) | ${lockedPixels} px need locked colors` +
+        (lockedPixels ? ` → ${this.lockedColorMode==='skip' ? 'skipped' : this.lockedColorMode==='map' ? 'remapped to unlocked colors' : 'manual color mode'}` : ''));
+      if (!detected) this._log('ℹ️ Palette not detected → assuming premium colors are locked. Open the color picker, then wplaceBot.refreshPalette().');
+      this._table(colors.map(c=>({ ...c, locked: c.locked ? '🔒' : '', share: c.share+'%' })));
+    }
+    return report;
+  }
 
   // ===== COLOR HELPERS =====
   rgbToHex(rgb) {
@@ -137,13 +1138,68 @@ class WPlaceBot {
     const m = rgb?.match?.(/\d+/g); if (!m || m.length < 3) return null;
     return { r:parseInt(m[0],10), g:parseInt(m[1],10), b:parseInt(m[2],10) };
   }
-  _dist(a,b){ return Math.hypot(a.r-b.r, a.g-b.g, a.b-b.b); }
+  _dist(a,b){ return this.colorDistance(a,b); }
+
+  // sRGB → CIELAB (D65)
+  rgbToLab({r,g,b}) {
+    const lin = (v)=>{ v/=255; return v<=0.04045 ? v/12.92 : Math.pow((v+0.055)/1.055, 2.4); };
+    const R=lin(r), G=lin(g), B=lin(b);
+    const X=(R*0.4124564 + G*0.3575761 + B*0.1804375)/0.95047;
+    const Y=(R*0.2126729 + G*0.7151522 + B*0.0721750);
+    const Z=(R*0.0193339 + G*0.1191920 + B*0.9503041)/1.08883;
+    const f=(t)=> t>0.008856 ? Math.cbrt(t) : (7.787*t + 16/116);
+    const fx=f(X), fy=f(Y), fz=f(Z);
+    return { L:116*fy-16, a:500*(fx-fy), b:200*(fy-fz) };
+  }
+  _lab(c) {
+    const key=(c.r<<16)|(c.g<<8)|c.b;
+    let lab=this._labCache.get(key);
+    if (!lab) {
+      if (this._labCache.size > 65536) this._labCache.clear();
+      lab=this.rgbToLab(c); this._labCache.set(key, lab);
+    }
+    return lab;
+  }
+  _ciede2000(x,y) {
+    const rad=Math.PI/180, deg=180/Math.PI, p7=25**7;
+    const Cm=(Math.hypot(x.a,x.b)+Math.hypot(y.a,y.b))/2;
+    const G=0.5*(1-Math.sqrt(Cm**7/(Cm**7+p7)));
+    const a1=(1+G)*x.a, a2=(1+G)*y.a;
+    const c1=Math.hypot(a1,x.b), c2=Math.hypot(a2,y.b);
+    const hue=(b,a)=>{ if(!a && !b) return 0; const h=Math.atan2(b,a)*deg; return h<0 ? h+360 : h; };
+    const h1=hue(x.b,a1), h2=hue(y.b,a2);
+    let dh=0;
+    if (c1*c2) { dh=h2-h1; if (dh>180) dh-=360; else if (dh<-180) dh+=360; }
+    const dL=y.L-x.L, dC=c2-c1, dH=2*Math.sqrt(c1*c2)*Math.sin(dh*rad/2);
+    const Lm=(x.L+y.L)/2, cm=(c1+c2)/2;
+    let hm=h1+h2;
+    if (c1*c2) { if (Math.abs(h1-h2)>180) hm += hm<360 ? 360 : -360; hm/=2; }
+    const T=1-0.17*Math.cos((hm-30)*rad)+0.24*Math.cos(2*hm*rad)+0.32*Math.cos((3*hm+6)*rad)-0.2*Math.cos((4*hm-63)*rad);
+    const dTheta=30*Math.exp(-(((hm-275)/25)**2));
+    const Rc=2*Math.sqrt(cm**7/(cm**7+p7));
+    const Sl=1+0.015*(Lm-50)**2/Math.sqrt(20+(Lm-50)**2), Sc=1+0.045*cm, Sh=1+0.015*cm*T;
+    const Rt=-Math.sin(2*dTheta*rad)*Rc;
+    return Math.sqrt((dL/Sl)**2 + (dC/Sc)**2 + (dH/Sh)**2 + Rt*(dC/Sc)*(dH/Sh));
+  }
+  // distance between two {r,g,b} under this.colorMetric (or an explicit one)
+  colorDistance(a,b,metric=this.colorMetric) {
+    switch (metric) {
+      case 'weighted': { // "redmean" weighted RGB
+        const rm=(a.r+b.r)/2, dr=a.r-b.r, dg=a.g-b.g, db=a.b-b.b;
+        return Math.sqrt((2+rm/256)*dr*dr + 4*dg*dg + (2+(255-rm)/256)*db*db);
+      }
+      case 'lab': { const A=this._lab(a), B=this._lab(b); return Math.hypot(A.L-B.L, A.a-B.a, A.b-B.b); }
+      case 'ciede2000': return this._ciede2000(this._lab(a), this._lab(b));
+      default: return Math.hypot(a.r-b.r, a.g-b.g, a.b-b.b);
+    }
+  }
 
   // nearest palette entry (optionally restrict to unlocked colors)
-  findClosestEntry(targetHex, {onlyUnlocked=false} = {}) {
+  findClosestEntry(targetHex, {onlyUnlocked=false, entries=this.colorPalette} = {}) {
+    if (this.colorMatcher) return this.colorMatcher(targetHex, entries.filter(e=>!onlyUnlocked || !e.locked)) || null;
     const target = this.hexToRgb(targetHex) || {r:0,g:0,b:0};
     let best=null, bestD=Infinity;
-    for (const e of this.colorPalette) {
+    for (const e of entries) {
       if (onlyUnlocked && e.locked) continue;
       const rgb = this.rgbStringToObject(e.color);
       if (!rgb) continue;
@@ -155,6 +1211,7 @@ class WPlaceBot {
 
   // select color with locked handling
   selectColorSmart(targetHex) {
+    this._remapped = false;
     if (!this.colorPalette.length) return false;
 
     const closest = this.findClosestEntry(targetHex, {onlyUnlocked:false});
@@ -162,179 +1219,692 @@ class WPlaceBot {
 
     if (closest.locked) {
       if (this.lockedColorMode === 'skip') {
-        if (!this._skipWarned){ console.warn('🔒 Some colors are locked → skipping those pixels'); this._skipWarned = true; }
+        if (!this._skipWarned){ this._warn('🔒 Some colors are locked → skipping those pixels'); this._skipWarned = true; }
         return 'SKIP';
       }
       if (this.lockedColorMode === 'manual') {
-        if (!this._manualWarned){ console.warn('🔒 Locked color → MANUAL mode (pick a color yourself).'); this._manualWarned = true; }
+        if (!this._manualWarned){ this._warn('🔒 Locked color → MANUAL mode (pick a color yourself).'); this._manualWarned = true; }
         this.useAutoPalette = false;
         return false;
       }
       // 'map' → map to nearest UNLOCKED
       const unlocked = this.findClosestEntry(targetHex, {onlyUnlocked:true});
-      if (unlocked) {
-        unlocked.element.click();
-        this.selectedColor = this.rgbToHex(unlocked.color);
-        return true;
-      }
-      if (!this._manualWarned){ console.warn('🔒 No unlocked replacement → MANUAL mode.'); this._manualWarned = true; }
+      if (unlocked) { this._remapped = true; return this._pickSwatch(unlocked); }
+      if (!this._manualWarned){ this._warn('🔒 No unlocked replacement → MANUAL mode.'); this._manualWarned = true; }
       this.useAutoPalette = false;
       return false;
     }
 
-    closest.element.click();
-    this.selectedColor = this.rgbToHex(closest.color);
+    return this._pickSwatch(closest);
+  }
+  // true → swatch clicked (caller pauses), 'SAME' → already selected, nothing clicked, 'STALE' → swatch gone from the page
+  _pickSwatch(entry) {
+    if (this.watchdog.enabled && this.page.isLive && !this.page.isLive(entry.element)) return 'STALE';
+    if (entry === this._pickedEntry) return 'SAME';
+    this.page.clickSwatch(entry.element);
+    const from = this.selectedColor;
+    this._pickedEntry = entry;
+    this.selectedColor = this.rgbToHex(entry.color);
+    this.emit('colorChange', { from, to:this.selectedColor, entry });
     return true;
   }
 
   setLockedColorMode(mode='map'){
     if (!['skip','map','manual'].includes(mode)) {
-      console.warn('lockedColorMode must be one of: skip | map | manual'); return;
+      this._warn('lockedColorMode must be one of: skip | map | manual'); return;
     }
     this.lockedColorMode = mode;
-    console.log('🔧 lockedColorMode =', mode);
+    this._log('🔧 lockedColorMode =', mode);
+  }
+  setDitherMode(mode='none'){
+    if (!['none','floyd-steinberg','atkinson','ordered'].includes(mode)) {
+      this._warn('ditherMode must be one of: none | floyd-steinberg | atkinson | ordered'); return;
+    }
+    this.ditherMode = mode;
+    this._log('🔧 ditherMode =', mode, '(applies to the next image load)');
+    this.saveState();
+  }
+  setColorMetric(metric='rgb'){
+    if (!['rgb','weighted','lab','ciede2000'].includes(metric)) {
+      this._warn('colorMetric must be one of: rgb | weighted | lab | ciede2000'); return;
+    }
+    this.colorMetric = metric;
+    this._log('🔧 colorMetric =', metric);
+    this.saveState();
+  }
+  // ===== DRAWING ORDER =====
+  // strategy name, or a comparator (a,b)=>number for a custom order; reorders the pixels not drawn yet
+  setDrawOrder(strategy='row', seed){
+    if (typeof strategy === 'function') { this._orderComparator = strategy; strategy = 'custom'; }
+    if (!this.orderStrategies[strategy]) {
+      this._warn('drawOrder must be one of: ' + Object.keys(this.orderStrategies).join(' | ') + ' (or a comparator function)'); return;
+    }
+    if (strategy === 'custom' && !this._orderComparator) { this._warn('custom order needs a comparator: wplaceBot.setDrawOrder((a,b)=>…)'); return; }
+    if (strategy === 'random') this.orderSeed = Number.isFinite(seed) ? seed>>>0 : (Math.random()*2**32)>>>0;
+    this.drawOrder = strategy;
+    const done = this.pixels.slice(0, this.currentPixel);
+    this.pixels = done.concat(this._orderPixels(this.pixels.slice(this.currentPixel), this.pixels));
+    this._partitionSection();
+    this._log(`🧭 drawOrder = ${strategy}${strategy==='random' ? ` (seed ${this.orderSeed})` : ''}`);
+    this.saveState();
   }
+  _orderPixels(px, all=px){
+    const fn = this.orderStrategies[this.drawOrder] || ORDER_STRATEGIES.row; // a plugin's order not installed (yet) → row
+    return fn(px, { all, seed:this.orderSeed, comparator:this._orderComparator });
+  }
+
   setManualColorMode(on=true){
     this.useAutoPalette = !on;
-    console.log(`🎛️ Manual color mode: ${on?'ON':'OFF'}`);
+    this._log(`🎛️ Manual color mode: ${on?'ON':'OFF'}`);
   }
 
   // ===== INPUT / POSITION =====
   setStartPosition(x,y){
     this.startX = x|0;
     this.startY = y|0;
-    console.log(`📍 Start position set to (${this.startX}, ${this.startY})`);
+    this._log(`📍 Start position set to (${this.startX}, ${this.startY})`);
+    if (this.anchor) this._log('ℹ️ Anchored to the board → start position is unused. wplaceBot.clearAnchor() for screen mode.');
     this.saveState();
+    this._renderPreview();
   }
   setDelay(ms){
     this.delay = Math.max(0, ms|0);
-    console.log(`⏱️ Delay set to ${this.delay} ms`);
+    this._log(`⏱️ Delay set to ${this.delay} ms`);
     this.saveState();
   }
 
   // ===== GRID CALIBRATION (for contiguous pixels) =====
   setCellSize(w,h){
     const ok = (v)=> typeof v === 'number' && Number.isFinite(v) && v > 0;
-    if (!ok(w) || !ok(h)) { console.warn('cell size must be positive numbers'); return; }
+    if (!ok(w) || !ok(h)) { this._warn('cell size must be positive numbers'); return; }
     this.cellW = Math.round(w);
     this.cellH = Math.round(h);
-    console.log(`📏 Cell size set → ${this.cellW}×${this.cellH} px`);
+    this._cellsMeasured();
+    this._dropGrid();
+    this._log(`📏 Cell size set → ${this.cellW}×${this.cellH} px`);
     this.saveState();
+    this._renderPreview();
   }
   calibrate(){ // click 2 adjacent cells horizontally
-    console.log('🧪 Calibrate X: Click TWO adjacent cells horizontally…');
+    this._log('🧪 Calibrate X: Click TWO adjacent cells horizontally…');
     let first = null;
     const handler = (ev) => {
       if (!first) {
         first = {x: ev.clientX, y: ev.clientY};
-        console.log('1/2 captured. Click the next cell horizontally…');
+        this._log('1/2 captured. Click the next cell horizontally…');
       } else {
         const dx = Math.abs(ev.clientX - first.x);
-        if (dx < 1) console.warn('Clicks overlapped. Try again.');
-        else { this.cellW = Math.round(dx); console.log(`✅ Calibrated cellW = ${this.cellW}px`); this.saveState(); }
+        if (dx < 1) this._warn('Clicks overlapped. Try again.');
+        else { this.cellW = Math.round(dx); this._cellsMeasured(); this._dropGrid(); this._log(`✅ Calibrated cellW = ${this.cellW}px`); this.saveState(); this._renderPreview(); }
         cleanup();
       }
       ev.preventDefault(); ev.stopPropagation();
     };
-    const cleanup = () => window.removeEventListener('click', handler, true);
-    window.addEventListener('click', handler, true);
+    const cleanup = this.page.listen('click', handler);
   }
   calibrateY(){ // click 2 adjacent cells vertically
-    console.log('🧪 Calibrate Y: Click TWO adjacent cells vertically…');
+    this._log('🧪 Calibrate Y: Click TWO adjacent cells vertically…');
     let first = null;
     const handler = (ev) => {
       if (!first) {
         first = {x: ev.clientX, y: ev.clientY};
-        console.log('1/2 captured. Click the next cell vertically…');
+        this._log('1/2 captured. Click the next cell vertically…');
       } else {
         const dy = Math.abs(ev.clientY - first.y);
-        if (dy < 1) console.warn('Clicks overlapped. Try again.');
-        else { this.cellH = Math.round(dy); console.log(`✅ Calibrated cellH = ${this.cellH}px`); this.saveState(); }
+        if (dy < 1) this._warn('Clicks overlapped. Try again.');
+        else { this.cellH = Math.round(dy); this._cellsMeasured(); this._dropGrid(); this._log(`✅ Calibrated cellH = ${this.cellH}px`); this.saveState(); this._renderPreview(); }
         cleanup();
       }
       ev.preventDefault(); ev.stopPropagation();
     };
-    const cleanup = () => window.removeEventListener('click', handler, true);
-    window.addEventListener('click', handler, true);
+    const cleanup = this.page.listen('click', handler);
   }
 
-  // ===== CLICK =====
-  clickCanvas(x,y){
-    if (!this.canvas) return false;
-    const rect = this.canvas.getBoundingClientRect();
-    const clientX = rect.left + x;
-    const clientY = rect.top + y;
+  _cellsMeasured(){ const {zoom, dpr} = this._zoomFingerprint(); this.cellFp = { zoom, dpr }; }
+  // anchored, without a grid: the cell size was measured at another zoom (syncView() fixes the offset, not the scale)
+  _cellsStale(){
+    const fp = this.cellFp;
+    if (!this.anchor || this.grid || !fp) return false;
+    if (fp.stale) return true;
+    const z = this._zoomFingerprint();
+    return (fp.zoom!=null && z.zoom!=null && fp.zoom!==z.zoom) || fp.dpr!==z.dpr;
+  }
 
-    // Pointer & mouse events (covers most canvases)
-    const seq = ['pointerdown','mousedown','pointerup','mouseup','click'];
-    for (const type of seq) {
-      try {
-        this.canvas.dispatchEvent(new MouseEvent(type, {
-          bubbles: true, cancelable: true, clientX, clientY, button: 0
-        }));
-      } catch {}
+  // ===== AFFINE GRID CALIBRATION (sub-pixel) =====
+  // Click the template's top-left cell, then the cell dx right / dy down of it (far apart → precise).
+  // Float scale + origin come from their distance; skew:true adds a 3rd click (dx right, same row) for a full affine grid.
+  // Without dx/dy the clicks pass through to the site and the board coordinates it shows are used.
+  async calibrateGrid(dx, dy, {skew=false}={}){
+    if (!this.canvas) { this._warn('⚠️ Canvas not found'); return false; }
+    const known = dx!=null || dy!=null;
+    if (known && (![dx,dy].every(Number.isInteger) || !dx || !dy)) { this._warn('calibrateGrid(dx, dy): two non-zero integer cell offsets'); return false; }
+    const refs = [];
+    const click = async (label) => {
+      this._log(`📐 ${refs.length+1}/${skew?3:2}: ${label}`);
+      const pt = await this._nextCanvasClick({passThrough: !known});
+      let b = null;
+      if (!known) { await this.sleep(400); b = this.readBoardCoords(); if (!b) throw new Error('Could not read the pixel coordinates → pass the offsets: calibrateGrid(dx, dy)'); }
+      refs.push({ pt, b });
+    };
+    try{
+      await click(known ? 'click the template’s top-left cell…' : 'click a cell near one corner of the area…');
+      await click(known ? `click the cell ${dx} right, ${dy} down of it…` : 'click a cell far away, diagonally across…');
+      if (skew) await click(known ? `click the cell ${dx} right of the first one (same row)…` : 'click a third cell, far from the line through the first two…');
+    }catch(e){ this._warn('⚠️', e.message); return false; }
+
+    const off = (i) => known ? (i===1 ? {u:dx, v:dy} : {u:dx, v:0}) : { u:refs[i].b.x-refs[0].b.x, v:refs[i].b.y-refs[0].b.y };
+    const d = (i) => ({ x:refs[i].pt.x-refs[0].pt.x, y:refs[i].pt.y-refs[0].pt.y });
+    let g;
+    if (skew) { // screen = M·cell for both vectors → M = D·O⁻¹
+      const o1=off(1), o2=off(2), d1=d(1), d2=d(2), det=o1.u*o2.v - o2.u*o1.v;
+      if (!det) { this._warn('⚠️ The reference cells are on one line → pick cells that span both directions'); return false; }
+      g = { a:(d1.x*o2.v - d2.x*o1.v)/det, b:(d2.x*o1.u - d1.x*o2.u)/det, c:(d1.y*o2.v - d2.y*o1.v)/det, d:(d2.y*o1.u - d1.y*o2.u)/det };
+    } else {
+      const o=off(1), d1=d(1);
+      if (!o.u || !o.v) { this._warn('⚠️ The reference cells must differ in both x and y'); return false; }
+      g = { a:d1.x/o.u, b:0, c:0, d:d1.y/o.v };
     }
+    const W = Math.hypot(g.a, g.c), H = Math.hypot(g.b, g.d);
+    if (!(W >= 1 && H >= 1) || g.a*g.d - g.b*g.c <= 0) { this._warn(`⚠️ Implausible grid (${W.toFixed(2)}×${H.toFixed(2)} px per cell) → check the offsets and clicks`); return false; }
+
+    this.grid = { ...g, fp:this._zoomFingerprint() };
+    this.gridDirty = false;
+    this._watchZoom();
+    // origin: the first click is the template's top-left cell (or a board cell with known coordinates)
+    const p0 = refs[0].pt;
+    if (this.anchor) this._setView(known ? this.anchor : refs[0].b, p0);
+    else if (known) { this.startX = p0.x - (g.a+g.b)/2; this.startY = p0.y - (g.c+g.d)/2; }
+    const skewDeg = Math.abs(Math.atan2(g.b, g.d) + Math.atan2(g.c, g.a)) * 180/Math.PI;
+    this._log(`✅ Grid calibrated: ${W.toFixed(3)}×${H.toFixed(3)} px per cell${skew ? `, skew ${skewDeg.toFixed(2)}°` : ''}` +
+      (!this.anchor && !known ? ' (origin unchanged: use setStartPosition, or calibrate with offsets)' : ''));
+    this.saveState();
+    this._renderPreview();
     return true;
   }
-
-  // ===== IMAGE LOADERS =====
-  async loadImageFromBase64(dataUrl, maxW=50, maxH=50, name='Base64 Image'){
-    return this._loadImageViaTag(dataUrl, maxW, maxH, name, {forceNoCORS:true});
+  clearGridCalibration(){
+    if (!this.grid) { this._log('ℹ️ No grid calibration'); return; }
+    this._dropGrid();
+    this._log('📐 Grid calibration cleared → integer cell size (cellW×cellH)');
+    this.saveState();
+    this._renderPreview();
   }
-  proxyUrl(url){ return url; } // override if you own a proxy server that adds CORS
-  async loadImageFromUrl(url, maxW=50, maxH=50, name='Image from URL', {tryProxy=true}={}){
-    try {
-      const ok = await this._loadImageViaTag(url, maxW, maxH, name, {crossOrigin:'anonymous'});
-      if (ok) return true;
-      throw new Error('Direct load failed');
-    } catch (e1) {
-      console.warn('⚠️ Direct load failed:', e1?.message || e1);
-      if (!tryProxy) return false;
-      const proxied = this.proxyUrl(url);
-      if (!proxied || proxied === url) {
-        console.warn('ℹ️ No proxy configured. Consider pickLocalImage()/loadImageFromBase64().');
-        return false;
-      }
-      console.log('🔁 Retrying via proxy:', proxied);
-      try {
-        return await this._loadImageViaTag(proxied, maxW, maxH, name, {crossOrigin:'anonymous'});
-      } catch(e2){
-        console.error('❌ Proxy load failed:', e2);
-        return false;
-      }
-    }
+  _dropGrid(){ this.grid = null; this.gridDirty = false; this._unwatchZoom(); }
+  // what the grid scale depends on: map zoom, browser zoom and the canvas box
+  _zoomFingerprint(){
+    const z = this.page.readZoom?.() || {}, r = this.canvas?.getBoundingClientRect();
+    return { zoom: z.zoom ?? null, dpr: z.dpr ?? 1, w: r ? r.width : null, h: r ? r.height : null };
+  }
+  _sameZoom(a, b){
+    return !!a && a.zoom===b.zoom && a.dpr===b.dpr && Math.abs((a.w??0)-(b.w??0))<0.5 && Math.abs((a.h??0)-(b.h??0))<0.5;
+  }
+  // zoom gestures on the board invalidate the calibrated scale
+  _watchZoom(){
+    if (this._zoomWatch || !this.grid) return;
+    const typing = (t) => t && (t.isContentEditable || /^(input|textarea|select)$/i.test(t.tagName || ''));
+    const offs = [
+      this.page.listen('wheel', (ev)=>{ if (ev.isTrusted && ev.target === this.canvas) this._markGridDirty('zoom'); }),
+      this.page.listen('keydown', (ev)=>{ if (ev.isTrusted && !typing(ev.target) && ['+','-','='].includes(ev.key)) this._markGridDirty('zoom'); }),
+    ];
+    this._zoomWatch = { off:()=>offs.forEach(f=>f()) };
+  }
+  _unwatchZoom(){ if (this._zoomWatch) { this._zoomWatch.off(); this._zoomWatch = null; } }
+  _markGridDirty(reason){
+    if (this.gridDirty || !this.grid) return;
+    this.gridDirty = true;
+    this._warn(`📐 ${reason === 'zoom' ? 'Zoom' : reason} changed since grid calibration → drawing paused. Run wplaceBot.calibrateGrid(…) again (or clearGridCalibration()).`);
+  }
+  // true when the calibrated scale no longer matches the screen
+  _gridStale(){
+    if (!this.grid) return false;
+    if (!this.gridDirty && !this._sameZoom(this.grid.fp, this._zoomFingerprint())) this._markGridDirty('Zoom or window size');
+    return this.gridDirty;
   }
-  async _loadImageViaTag(src, maxW, maxH, name, options={}){
-    const img = new Image();
-    if (options.forceNoCORS) { /* data URL case */ }
-    else if (options.crossOrigin) { img.crossOrigin = options.crossOrigin; }
-    await new Promise((res,rej)=>{ img.onload=()=>res(); img.onerror=()=>rej(new Error('Image load error')); img.src = src; });
-
-    const scale = Math.min(maxW/img.width, maxH/img.height, 1);
-    const w = Math.max(1, Math.floor(img.width*scale));
-    const h = Math.max(1, Math.floor(img.height*scale));
-
-    const cvs = document.createElement('canvas');
-    cvs.width = w; cvs.height = h;
-    const ctx = cvs.getContext('2d',{willReadFrequently:true});
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(img, 0, 0, w, h);
 
-    // If CORS taints this canvas, getImageData will throw:
-    const { data } = ctx.getImageData(0,0,w,h);
+  // ===== GRID MATH (shared by start() and the preview) =====
+  // screen px per cell (floats with a calibrated grid)
+  _cellSize(){
+    if (this.grid) return { W:Math.hypot(this.grid.a, this.grid.c), H:Math.hypot(this.grid.b, this.grid.d) };
+    const W = (typeof this.cellW==='number' && this.cellW>0) ? this.cellW : 1;
+    const H = (typeof this.cellH==='number' && this.cellH>0) ? this.cellH : W;
+    return {W,H};
+  }
+  // template pixel → canvas-relative screen point at the CENTER of its cell
+  pixelToScreen(p){
+    if (this.anchor && this.view) return this.boardToScreen(this.anchor.x + p.x, this.anchor.y + p.y);
+    const g = this.grid;
+    if (g) return { x: Math.round(this.startX + g.a*(p.x+0.5) + g.b*(p.y+0.5)), y: Math.round(this.startY + g.c*(p.x+0.5) + g.d*(p.y+0.5)) };
+    const {W,H} = this._cellSize();
+    return { x: this.startX + p.x * W + Math.floor(W/2), y: this.startY + p.y * H + Math.floor(H/2) };
+  }
 
-    const pixels=[];
-    for(let y=0;y<h;y++){
-      for(let x=0;x<w;x++){
-        const i=(y*w+x)*4;
-        const r=data[i], g=data[i+1], b=data[i+2], a=data[i+3];
-        if(a<128) continue;
-        const hex='#'+[r,g,b].map(v=>v.toString(16).padStart(2,'0')).join('');
-        pixels.push({x,y,color:hex});
-      }
+  // ===== BOARD ANCHOR (survives pan/zoom) =====
+  boardToScreen(bx,by){
+    const v = this.view, g = this.grid;
+    if (g) return { x: Math.round(v.cx + g.a*(bx-v.bx) + g.b*(by-v.by)), y: Math.round(v.cy + g.c*(bx-v.bx) + g.d*(by-v.by)) };
+    const {W,H} = this._cellSize();
+    return { x: Math.round(v.cx + (bx-v.bx)*W), y: Math.round(v.cy + (by-v.by)*H) };
+  }
+  screenToBoard(x,y){
+    const v = this.view, g = this.grid;
+    if (g) {
+      const X = x-v.cx, Y = y-v.cy, det = g.a*g.d - g.b*g.c;
+      return { x: v.bx + Math.round((g.d*X - g.b*Y)/det), y: v.by + Math.round((g.a*Y - g.c*X)/det) };
     }
-    this.loadImageFromData(pixels, name);
-    return true;
+    const {W,H} = this._cellSize();
+    return { x: v.bx + Math.round((x-v.cx)/W), y: v.by + Math.round((y-v.cy)/H) };
+  }
+  // coordinates of the pixel the site currently shows as selected; override if your site version differs
+  readBoardCoords(){ return this.page.readBoardCoords(); }
+  _nextCanvasClick({passThrough=false}={}){
+    return new Promise((resolve)=>{
+      const handler = (ev) => {
+        if (!this.canvas) return;
+        off();
+        if (!passThrough) { ev.preventDefault(); ev.stopPropagation(); }
+        const rect = this.canvas.getBoundingClientRect();
+        resolve({ x: ev.clientX - rect.left, y: ev.clientY - rect.top });
+      };
+      const off = this.page.listen('click', handler);
+    });
+  }
+  // tie the current view to the board: click a pixel whose board coordinates are known (or shown by the site)
+  async syncView(bx, by){
+    if (!this.canvas) { this._warn('⚠️ Canvas not found'); return false; }
+    const known = Number.isFinite(bx) && Number.isFinite(by);
+    this._log(known ? `🧭 Click the board pixel (${bx|0}, ${by|0})…` : '🧭 Click any board pixel (coordinates are read from the page)…');
+    const pt = await this._nextCanvasClick({passThrough: !known});
+    let b = known ? { x:bx|0, y:by|0 } : null;
+    if (!b) { await this.sleep(400); b = this.readBoardCoords(); }
+    if (!b) { this._warn('⚠️ Could not read the pixel coordinates. Use wplaceBot.syncView(x, y) with the coordinates the site shows.'); return false; }
+    this._setView(b, pt);
+    this._log(`✅ View synced: board (${b.x}, ${b.y}) ↔ screen (${Math.round(pt.x)}, ${Math.round(pt.y)})`);
+    if (this._cellsStale()) this._warn('📏 The zoom changed since the cell size was measured → measure it again before resuming: calibrate() + calibrateY(), setCellSize(w, h) or calibrateGrid(…)');
+    return true;
+  }
+  _setView(b, pt){
+    this.view = { bx:b.x, by:b.y, cx:pt.x, cy:pt.y };
+    this.viewDirty = false;
+    this._watchView();
+    this._renderPreview();
+  }
+  setAnchor(x,y){
+    if (!Number.isFinite(x) || !Number.isFinite(y) || x<0 || y<0) { this._warn('anchor must be non-negative board coordinates'); return; }
+    this.anchor = { x:Math.floor(x), y:Math.floor(y) };
+    this._log(`📌 Anchored to board (${this.anchor.x}, ${this.anchor.y})`);
+    if (!this.view) this._log('👉 Now run wplaceBot.syncView() so the bot can find the board on screen.');
+    this.saveState();
+    this._renderPreview();
+  }
+  // click the board pixel where the template's top-left should go
+  async pickAnchor(){
+    if (!this.canvas) { this._warn('⚠️ Canvas not found'); return false; }
+    const synced = this.view && !this.viewDirty;
+    this._log('📌 Click the board pixel for the template’s top-left…');
+    const pt = await this._nextCanvasClick({passThrough: !synced});
+    let b = null;
+    if (synced) b = this.screenToBoard(pt.x, pt.y);
+    else { await this.sleep(400); b = this.readBoardCoords(); if (b) this._setView(b, pt); }
+    if (!b) { this._warn('⚠️ Could not read the pixel coordinates. Use wplaceBot.setAnchor(x, y), then wplaceBot.syncView(x, y).'); return false; }
+    this.anchor = { x:b.x, y:b.y };
+    this._log(`📌 Anchored to board (${b.x}, ${b.y})`);
+    this.saveState();
+    this._renderPreview();
+    return true;
+  }
+  clearAnchor(){
+    this.anchor = null;
+    this.view = null;
+    this.viewDirty = false;
+    this._unwatchView();
+    this._log('📍 Anchor cleared → screen mode (setStartPosition).');
+    this.saveState();
+    this._renderPreview();
+  }
+  // user pans/zooms mark the view dirty; the bot's own synthetic events are not trusted and are ignored
+  _watchView(){
+    this._unwatchView();
+    const offs = [];
+    const on = (type, fn) => offs.push(this.page.listen(type, fn));
+    let drag = null;
+    const onBoard = (ev) => ev.isTrusted && ev.target === this.canvas; // not the panel, not our own events
+    const typing = (t) => t && (t.isContentEditable || /^(input|textarea|select)$/i.test(t.tagName || ''));
+    on('wheel', (ev)=>{ if (onBoard(ev)) this._markViewDirty('zoom'); });
+    on('keydown', (ev)=>{ if (ev.isTrusted && !typing(ev.target) && ['+','-','='].includes(ev.key)) this._markViewDirty('zoom'); });
+    on('pointerdown', (ev)=>{ if (onBoard(ev)) drag = { x:ev.clientX, y:ev.clientY }; });
+    on('pointermove', (ev)=>{ if (drag && ev.isTrusted && Math.hypot(ev.clientX-drag.x, ev.clientY-drag.y) > 4) this._markViewDirty('pan'); });
+    on('pointerup', ()=>{ drag = null; });
+    on('resize', ()=>this._markViewDirty('resize'));
+    const r = this.canvas.getBoundingClientRect();
+    this._viewWatch = { rect:{ left:r.left, top:r.top, width:r.width, height:r.height }, off:()=>offs.forEach(f=>f()) };
+  }
+  _unwatchView(){ if (this._viewWatch) { this._viewWatch.off(); this._viewWatch = null; } }
+  _markViewDirty(reason){
+    if (!this.anchor) return;
+    const rescale = reason === 'zoom' && !this.grid;
+    if (rescale) this.cellFp = { ...(this.cellFp || this._zoomFingerprint()), stale:true };
+    if (this.viewDirty) return;
+    this.viewDirty = true;
+    this._warn(`🧭 View changed (${reason}) → drawing pauses. ` + (rescale
+      ? 'Measure the cells again (calibrate() + calibrateY(), setCellSize(w, h) or calibrateGrid(…)), re-sync with wplaceBot.syncView(), then wplaceBot.resume().'
+      : 'Re-sync with wplaceBot.syncView(), then wplaceBot.resume().'));
+  }
+  // true once the board needs a re-sync (view never synced, user moved it, or the canvas box changed)
+  _viewStale(){
+    if (!this.anchor) return false;
+    if (!this.view || this.viewDirty) return true;
+    const w = this._viewWatch?.rect, r = this.canvas?.getBoundingClientRect();
+    if (w && r && (w.left!==r.left || w.top!==r.top || w.width!==r.width || w.height!==r.height)) this._markViewDirty('canvas moved');
+    return this.viewDirty;
+  }
+
+  // ===== PREVIEW OVERLAY =====
+  showPreview(){
+    if (!this.canvas) { this._warn('⚠️ Canvas not found'); return; }
+    if (!this.pixels.length) { this._warn('⚠️ Load an image first'); return; }
+    if (!this._preview) {
+      const el = document.createElement('canvas');
+      el.id = 'wplace-bot-preview';
+      Object.assign(el.style, { position:'fixed', left:'0px', top:'0px', pointerEvents:'none', zIndex:'2147483646' });
+      document.body.appendChild(el);
+      const onView = () => this._renderPreview();
+      const onKey = (ev) => this._previewKey(ev);
+      window.addEventListener('resize', onView);
+      window.addEventListener('scroll', onView, true);
+      window.addEventListener('keydown', onKey, true);
+      this._preview = { el, cleanup: () => {
+        window.removeEventListener('resize', onView);
+        window.removeEventListener('scroll', onView, true);
+        window.removeEventListener('keydown', onKey, true);
+        el.remove();
+      }};
+    }
+    this._renderPreview();
+    const nudge = this.anchor ? 'arrow keys move the anchor by 1 board pixel, Shift+arrow by 10' : 'arrow keys nudge by 1px, Shift+arrow by 1 cell'; // as in _previewKey
+    this._log(`👁️ Preview ON (opacity ${this.previewOpacity})${this.previewNudge ? ` — ${nudge}` : ''}`);
+  }
+  hidePreview(){
+    if (!this._preview) return;
+    this._preview.cleanup();
+    this._preview = null;
+    this._log('👁️ Preview OFF');
+  }
+  togglePreview(){ this._preview ? this.hidePreview() : this.showPreview(); }
+  setPreviewOpacity(v){
+    if (typeof v !== 'number' || !Number.isFinite(v)) { this._warn('opacity must be a number 0..1'); return; }
+    this.previewOpacity = Math.min(1, Math.max(0, v));
+    this._log(`👁️ Preview opacity = ${this.previewOpacity}`);
+    this._renderPreview();
+  }
+  _renderPreview(){
+    if (!this._preview || !this.canvas) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const el = this._preview.el;
+    Object.assign(el.style, {
+      left: rect.left+'px', top: rect.top+'px', width: rect.width+'px', height: rect.height+'px',
+      opacity: String(this.previewOpacity)
+    });
+    el.width = Math.max(1, Math.round(rect.width*dpr));
+    el.height = Math.max(1, Math.round(rect.height*dpr));
+    const ctx = el.getContext('2d');
+    ctx.setTransform(dpr,0,0,dpr,0,0);
+    ctx.clearRect(0,0,rect.width,rect.height);
+
+    // same math as start(): cell centered on pixelToScreen()
+    const {W,H} = this._cellSize();
+    const ox = Math.floor(W/2), oy = Math.floor(H/2);
+    let minX=Infinity, minY=Infinity, maxX=-Infinity, maxY=-Infinity;
+    for (const p of this.pixels) {
+      const c = this.pixelToScreen(p);
+      ctx.fillStyle = p.color;
+      ctx.fillRect(c.x-ox, c.y-oy, W, H);
+      if (c.x<minX) minX=c.x; if (c.y<minY) minY=c.y; if (c.x>maxX) maxX=c.x; if (c.y>maxY) maxY=c.y;
+    }
+    if (minX !== Infinity) {
+      ctx.strokeStyle = '#ff00ff'; ctx.lineWidth = 1;
+      ctx.strokeRect(minX-ox-0.5, minY-oy-0.5, maxX-minX+W+1, maxY-minY+H+1);
+    }
+  }
+  _previewKey(ev){
+    if (!this.previewNudge || this.isRunning) return;
+    const t = ev.target;
+    if (t && (t.isContentEditable || /^(input|textarea|select)$/i.test(t.tagName || ''))) return;
+    const dirs = { ArrowLeft:[-1,0], ArrowRight:[1,0], ArrowUp:[0,-1], ArrowDown:[0,1] };
+    const d = dirs[ev.key]; if (!d) return;
+    ev.preventDefault(); ev.stopPropagation();
+    if (this.anchor) { // board mode: move by board pixels
+      const step = ev.shiftKey ? 10 : 1;
+      this.anchor = { x: Math.max(0, this.anchor.x + d[0]*step), y: Math.max(0, this.anchor.y + d[1]*step) };
+      this._log(`📌 Anchor nudged to board (${this.anchor.x}, ${this.anchor.y})`);
+    } else {
+      const {W,H} = this._cellSize();
+      const step = ev.shiftKey ? [W,H] : [1,1];
+      this.startX += d[0]*step[0];
+      this.startY += d[1]*step[1];
+      this._log(`📍 Start position nudged to (${this.startX}, ${this.startY})`);
+    }
+    this.saveState();
+    this._renderPreview();
+  }
+
+  // ===== CLICK =====
+  clickCanvas(x,y){
+    if (!this.canvas) return false;
+    this.page.clickAt(this.canvas, x, y);
+    return true;
+  }
+
+  // ===== IMAGE LOADERS =====
+  async loadImageFromBase64(dataUrl, maxW=50, maxH=50, name='Base64 Image'){
+    return this._loadImageViaTag(dataUrl, maxW, maxH, name, {forceNoCORS:true});
+  }
+  proxyUrl(url){ return url; } // override if you own a proxy server that adds CORS
+  async loadImageFromUrl(url, maxW=50, maxH=50, name='Image from URL', {tryProxy=true}={}){
+    try {
+      const ok = await this._loadImageViaTag(url, maxW, maxH, name, {crossOrigin:'anonymous'});
+      if (ok) return true;
+      throw new Error('Direct load failed');
+    } catch (e1) {
+      this._warn('⚠️ Direct load failed:', e1?.message || e1);
+      if (!tryProxy) return false;
+      const proxied = this.proxyUrl(url);
+      if (!proxied || proxied === url) {
+        this._warn('ℹ️ No proxy configured. Consider pickLocalImage()/loadImageFromBase64().');
+        return false;
+      }
+      this._log('🔁 Retrying via proxy:', proxied);
+      try {
+        return await this._loadImageViaTag(proxied, maxW, maxH, name, {crossOrigin:'anonymous'});
+      } catch(e2){
+        this._error('❌ Proxy load failed:', e2);
+        return false;
+      }
+    }
+  }
+  async _loadImageViaTag(src, maxW, maxH, name, options={}){
+    const img = new Image();
+    if (options.forceNoCORS) { /* data URL case */ }
+    else if (options.crossOrigin) { img.crossOrigin = options.crossOrigin; }
+    await new Promise((res,rej)=>{ img.onload=()=>res(); img.onerror=()=>rej(new Error('Image load error')); img.src = src; });
+
+    // source pixels at full size (huge images once scaled down); the pipeline does the real resizing
+    const k = Math.min(1, MAX_SOURCE_SIDE/Math.max(img.width, img.height));
+    const w = Math.max(1, Math.floor(img.width*k));
+    const h = Math.max(1, Math.floor(img.height*k));
+
+    const cvs = document.createElement('canvas');
+    cvs.width = w; cvs.height = h;
+    const ctx = cvs.getContext('2d',{willReadFrequently:true});
+    ctx.imageSmoothingEnabled = k<1;
+    ctx.drawImage(img, 0, 0, w, h);
+
+    // If CORS taints this canvas, getImageData will throw:
+    const { data } = ctx.getImageData(0,0,w,h);
+
+    const out = this._preprocessImage({ data, w, h }, maxW, maxH, k);
+    if (!out) return false;
+    return this.loadImageFromData(this._quantizeImage(out.data, out.w, out.h), name);
+  }
+
+  // ===== IMAGE PREPROCESSING =====
+  // merge options into this.preprocess (all valid or nothing changes); applies to the next image load
+  setPreprocess(opts={}){
+    const next = { ...this.preprocess }, bad = (msg) => { this._warn('preprocess: ' + msg); return false; };
+    const pos = (v) => Number.isFinite(v) && v > 0;
+    for (const [k, v] of Object.entries(opts)) {
+      if (!(k in PREPROCESS_DEFAULTS)) return bad(`unknown option "${k}" (${Object.keys(PREPROCESS_DEFAULTS).join(', ')})`);
+      if (v == null) { next[k] = PREPROCESS_DEFAULTS[k]; continue; }
+      switch (k) {
+        case 'crop':
+          if (![v.x, v.y].every(n=>Number.isInteger(n) && n>=0) || ![v.w, v.h].every(n=>Number.isInteger(n) && n>0)) return bad('crop must be {x,y,w,h} integers (w,h > 0)');
+          next.crop = { x:v.x, y:v.y, w:v.w, h:v.h }; break;
+        case 'width': case 'height':
+          if (!Number.isInteger(v) || v<1) return bad(`${k} must be a positive integer`);
+          next[k] = v; break;
+        case 'scale':
+          if (!pos(v)) return bad('scale must be a positive number');
+          next.scale = v; break;
+        case 'resample':
+          if (!['nearest','area','pixelart'].includes(v)) return bad('resample must be one of: nearest | area | pixelart');
+          next.resample = v; break;
+        case 'brightness': case 'contrast': case 'saturation':
+          if (!Number.isFinite(v) || v<-1 || v>1) return bad(`${k} must be between -1 and 1`);
+          next[k] = v; break;
+        case 'gamma':
+          if (!Number.isFinite(v) || v<0.1 || v>10) return bad('gamma must be between 0.1 and 10');
+          next.gamma = v; break;
+        case 'alphaThreshold':
+          if (!Number.isInteger(v) || v<1 || v>255) return bad('alphaThreshold must be an integer 1..255');
+          next.alphaThreshold = v; break;
+        case 'chromaKey': {
+          const c = /^#/.test(v) ? this.hexToRgb(v) : this.rgbStringToObject(v);
+          if (!c || c.r>255 || c.g>255 || c.b>255) return bad('chromaKey must be #RRGGBB or rgb(r,g,b)');
+          next.chromaKey = this.rgbToHex(`rgb(${c.r},${c.g},${c.b})`); break;
+        }
+        case 'chromaTolerance':
+          if (!Number.isFinite(v) || v<0 || v>442) return bad('chromaTolerance must be between 0 and 442');
+          next.chromaTolerance = v; break;
+      }
+    }
+    if ((next.width || next.height) && next.scale) return bad('use width/height or scale, not both');
+    this.preprocess = next;
+    this._log('🖼️ Preprocess:', this._describePreprocess());
+    return true;
+  }
+  resetPreprocess(){
+    this.preprocess = { ...PREPROCESS_DEFAULTS };
+    this._log('🖼️ Preprocess reset to defaults');
+  }
+  _describePreprocess(){
+    const o = this.preprocess, d = PREPROCESS_DEFAULTS;
+    const parts = Object.keys(d).filter(k=>JSON.stringify(o[k])!==JSON.stringify(d[k])).map(k=>`${k}=${JSON.stringify(o[k])}`);
+    return parts.length ? parts.join(' ') : 'defaults';
+  }
+  // (cropped) source size → target size: width/height, else scale, else fit maxW×maxH (never enlarged)
+  _targetSize(w, h, maxW, maxH){
+    const o = this.preprocess;
+    if (o.width || o.height) {
+      const W = o.width || Math.max(1, Math.floor(o.height*w/h));
+      return { w:W, h: o.height || Math.max(1, Math.floor(W*h/w)) };
+    }
+    const s = o.scale || Math.min(maxW/w, maxH/h, 1);
+    return { w:Math.max(1, Math.floor(w*s)), h:Math.max(1, Math.floor(h*s)) };
+  }
+  // crop → chroma key → resize → color adjust; srcScale: how much the loader already shrank the source
+  _preprocessImage(img, maxW=50, maxH=50, srcScale=1){
+    const o = this.preprocess;
+    let srcW = img.w/srcScale, srcH = img.h/srcScale;
+    if (o.crop) {
+      const x = Math.min(img.w, Math.round(o.crop.x*srcScale)), y = Math.min(img.h, Math.round(o.crop.y*srcScale));
+      const r = { x, y, w:Math.min(img.w-x, Math.round(o.crop.w*srcScale)), h:Math.min(img.h-y, Math.round(o.crop.h*srcScale)) };
+      if (r.w<1 || r.h<1) { this._warn('⚠️ Crop rectangle is outside the image'); return null; }
+      img = cropRgba(img, r);
+      srcW = r.w/srcScale; srcH = r.h/srcScale;
+    }
+    const t = this._targetSize(srcW, srcH, maxW, maxH);
+    if (t.w*t.h > MAX_TEMPLATE_CELLS) { this._warn(`⚠️ Target size ${t.w}×${t.h} is too large`); return null; }
+    if (o.chromaKey) img = chromaKeyRgba(img, this.hexToRgb(o.chromaKey), o.chromaTolerance);
+    img = resizeRgba(img, t.w, t.h, o.resample, o.alphaThreshold);
+    if (o.brightness || o.contrast || o.saturation || o.gamma!==1) img = adjustRgba(img, o);
+    return img;
+  }
+
+  // ===== QUANTIZE / DITHER =====
+  // colors a template may use: in 'map' mode locked swatches are never drawn, so leave them out
+  _quantizePalette(){
+    const onlyUnlocked = this.lockedColorMode === 'map' && this.colorPalette.some(e=>!e.locked);
+    const out=[];
+    for (const e of this.colorPalette) {
+      if (onlyUnlocked && e.locked) continue;
+      const rgb=this.rgbStringToObject(e.color);
+      if (rgb) out.push({...rgb, entry:e});
+    }
+    return out;
+  }
+  // RGBA buffer → [{x,y,color}] holding real palette colors (raw colors if no palette yet)
+  _quantizeImage(data, w, h){
+    const toHex=(c)=>'#'+[c.r,c.g,c.b].map(v=>v.toString(16).padStart(2,'0')).join('');
+    const pal=this._quantizePalette();
+    const pixels=[], cut=this.preprocess.alphaThreshold;
+    if (!pal.length) {
+      if (!this._rawWarned) {
+        this._warn('🎨 No palette detected → template keeps raw colors (no dithering). Open the color picker, wplaceBot.refreshPalette(), then load again.');
+        this._rawWarned = true;
+      }
+      for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+        const i=(y*w+x)*4;
+        if (data[i+3]<cut) continue;
+        pixels.push({x,y,color:toHex({r:data[i],g:data[i+1],b:data[i+2]})});
+      }
+      return pixels;
+    }
+
+    const buf=new Float32Array(w*h*3);
+    for (let i=0;i<w*h;i++){ buf[i*3]=data[i*4]; buf[i*3+1]=data[i*4+1]; buf[i*3+2]=data[i*4+2]; }
+    const kernel=DITHER_KERNELS[this.ditherMode];
+    const ordered=this.ditherMode==='ordered';
+    const clamp=(v)=>v<0?0:v>255?255:Math.round(v);
+    const cache=new Map();
+    const entries=this.colorMatcher ? pal.map(p=>p.entry) : null; // a custom matcher picks the swatches here too
+    const nearest=(r,g,b)=>{
+      const key=(r<<16)|(g<<8)|b;
+      let best=cache.get(key);
+      if (!best) {
+        if (entries) {
+          const e=this.findClosestEntry(toHex({r,g,b}), {entries});
+          best=e && (pal.find(p=>p.entry===e) || this.rgbStringToObject(e.color));
+        }
+        let bestD=Infinity;
+        if (!best) for (const p of pal){ const d=this.colorDistance({r,g,b}, p); if (d<bestD){ bestD=d; best=p; } }
+        cache.set(key, best);
+      }
+      return best;
+    };
+
+    for(let y=0;y<h;y++){
+      for(let x=0;x<w;x++){
+        const i=y*w+x;
+        if (data[i*4+3]<cut) continue;
+        let r=buf[i*3], g=buf[i*3+1], b=buf[i*3+2];
+        if (ordered) {
+          const t=((BAYER4[y&3][x&3]+0.5)/16 - 0.5)*ORDERED_SPREAD;
+          r+=t; g+=t; b+=t;
+        }
+        const q=nearest(clamp(r), clamp(g), clamp(b));
+        pixels.push({x,y,color:toHex(q)});
+        if (!kernel) continue;
+        const er=r-q.r, eg=g-q.g, eb=b-q.b;
+        for (const [dx,dy,wt] of kernel.taps){
+          const nx=x+dx, ny=y+dy;
+          if (nx<0 || nx>=w || ny>=h) continue;
+          const j=ny*w+nx;
+          if (data[j*4+3]<cut) continue; // don't push error into transparent cells
+          const f=wt/kernel.div;
+          buf[j*3]+=er*f; buf[j*3+1]+=eg*f; buf[j*3+2]+=eb*f;
+        }
+      }
+    }
+    return pixels;
   }
   async pickLocalImage(maxW=50, maxH=50, name='Picked Image'){
     return new Promise((resolve)=>{
@@ -350,7 +1920,7 @@ class WPlaceBot {
     });
   }
   async pasteImageFromClipboard(maxW=50, maxH=50, name='Pasted Image'){
-    if(!navigator.clipboard?.read) { console.warn('Clipboard read() not supported'); return false; }
+    if(!navigator.clipboard?.read) { this._warn('Clipboard read() not supported'); return false; }
     try{
       const items = await navigator.clipboard.read();
       for(const item of items){
@@ -366,165 +1936,1597 @@ class WPlaceBot {
           }
         }
       }
-      console.warn('No image in clipboard');
+      this._warn('No image in clipboard');
       return false;
-    }catch(e){ console.warn('Clipboard error:', e); return false; }
+    }catch(e){ this._warn('Clipboard error:', e); return false; }
   }
 
   // ===== LOAD FROM DATA =====
   loadImageFromData(pixelData, name='Custom Image'){
-    if (!Array.isArray(pixelData)) { console.error('❌ pixelData must be an array'); return false; }
+    const norm=this._normalizePixels(pixelData);
+    if (!norm) return false;
+    this._detachProject(); // a new template is not the queued project any more
+    this.undoOf = null;
+    this.teamId = null;
+
+    // deduplicate & order (this.drawOrder)
+    const map=new Map(); for(const p of norm) map.set(`${p.x},${p.y}`, p);
+    const dedup=this._orderPixels([...map.values()]);
+
+    this.pixels = dedup;
+    this.currentPixel = 0;
+    this.sections = []; this.activeSection = null; // sections belong to the template they were drawn on
+    this._partitionSection();
+    this.imageName = name;
+
+    // safe size calc
+    let maxX=-Infinity,maxY=-Infinity; for(const p of dedup){ if(p.x>maxX) maxX=p.x; if(p.y>maxY) maxY=p.y; }
+    if(maxX===-Infinity) maxX=0; if(maxY===-Infinity) maxY=0;
+    this._log(`✅ ${name} loaded: ${dedup.length} px | approx size: ${maxX+1}×${maxY+1}`);
+
+    this.saveState();
+    this._renderPreview();
+    return true;
+  }
+
+  // [{x,y,color}] → [{x,y,color:'#rrggbb'}]; logs the first bad item and returns null
+  _normalizePixels(pixelData){
+    if (!Array.isArray(pixelData)) { this._error('❌ pixelData must be an array'); return null; }
     const norm=[];
     for(const p of pixelData){
       if(!p || typeof p.x!=='number' || typeof p.y!=='number' || typeof p.color!=='string'){
-        console.error('❌ Bad item in pixelData (expected {x:number, y:number, color:string})', p);
-        return false;
+        this._error('❌ Bad item in pixelData (expected {x:number, y:number, color:string})', p);
+        return null;
       }
       let color=p.color.trim();
-      if (/^#([0-9a-f]{6})$/i.test(color)) { /* ok */ }
+      if (/^#([0-9a-f]{6})$/i.test(color)) { color=color.toLowerCase(); }
       else if (/^rgb\s*\(/i.test(color)) {
         const rgb=this.rgbStringToObject(color);
-        if(!rgb){console.error('❌ invalid rgb()',color); return false;}
+        if(!rgb || rgb.r>255 || rgb.g>255 || rgb.b>255){this._error('❌ invalid rgb()',color); return null;}
         color=this.rgbToHex(`rgb(${rgb.r},${rgb.g},${rgb.b})`);
       } else {
-        console.error('❌ color must be #RRGGBB or rgb(r,g,b)'); return false;
+        this._error('❌ color must be #RRGGBB or rgb(r,g,b)'); return null;
       }
       const x=Math.floor(p.x), y=Math.floor(p.y);
-      if(x<0||y<0||!Number.isFinite(x)||!Number.isFinite(y)){ console.error('❌ x/y invalid'); return false; }
+      if(x<0||y<0||!Number.isFinite(x)||!Number.isFinite(y)){ this._error('❌ x/y invalid'); return null; }
       norm.push({x,y,color});
     }
-    // deduplicate & sort
-    const map=new Map(); for(const p of norm) map.set(`${p.x},${p.y}`, p);
-    const dedup=[...map.values()].sort((a,b)=>(a.y-b.y)||(a.x-b.x));
-
-    this.pixels = dedup;
-    this.currentPixel = 0;
-    this.imageName = name;
-
-    // safe size calc
-    let maxX=-Infinity,maxY=-Infinity; for(const p of dedup){ if(p.x>maxX) maxX=p.x; if(p.y>maxY) maxY=p.y; }
-    if(maxX===-Infinity) maxX=0; if(maxY===-Infinity) maxY=0;
-    console.log(`✅ ${name} loaded: ${dedup.length} px | approx size: ${maxX+1}×${maxY+1}`);
+    return norm;
+  }
 
-    if (dedup.length <= this.largeSaveCap) this.saveState();
-    else console.log('💾 Large image → initial save skipped; will autosave while drawing.');
+  // ===== SECTIONS =====
+  // rect/tile: {name, type, x, y, w, h} in template cells; mask: {name, type:'mask', w, h, rle} (RLE of 0/1 over w×h)
+  _validSection(sec){
+    if (!sec || typeof sec.name !== 'string' || !sec.name || sec.name.length > 60) return false;
+    const int = (v, min) => Number.isInteger(v) && v >= min;
+    if (sec.type === 'rect' || sec.type === 'tile') return int(sec.x,0) && int(sec.y,0) && int(sec.w,1) && int(sec.h,1);
+    if (sec.type !== 'mask' || !int(sec.w,1) || !int(sec.h,1) || sec.w*sec.h > MAX_TEMPLATE_CELLS) return false;
+    try{ this._maskBits(sec); return true; }catch{ return false; }
+  }
+  _maskBits(sec){
+    let bits = this._maskCache.get(sec);
+    if (!bits) { bits = rleDecode(sec.rle, sec.w*sec.h, 1); this._maskCache.set(sec, bits); }
+    return bits;
+  }
+  _section(name){ return name==null ? null : (this.sections.find(s=>s.name===name) || null); }
+  _inSection(sec, p){
+    if (sec.type === 'mask') return p.x < sec.w && p.y < sec.h && this._maskBits(sec)[p.y*sec.w + p.x] === 1;
+    return p.x >= sec.x && p.y >= sec.y && p.x < sec.x+sec.w && p.y < sec.y+sec.h;
+  }
+  // template size in cells (0×0 without pixels)
+  _templateSize(){
+    let w=0, h=0;
+    for (const p of this.pixels) { if (p.x>=w) w=p.x+1; if (p.y>=h) h=p.y+1; }
+    return { w, h };
+  }
+  _putSection(sec){
+    if (!this._validSection(sec)) { this._warn('⚠️ Invalid section (name up to 60 chars; rect needs integer x,y ≥ 0 and w,h ≥ 1)'); return false; }
+    const i = this.sections.findIndex(s=>s.name===sec.name);
+    this.sections = i<0 ? [...this.sections, sec] : this.sections.map((s,j)=>j===i ? sec : s);
+    if (this.activeSection === sec.name) this._partitionSection();
+    return true;
+  }
+  // rectangle in template cells (same name → replaced)
+  addSection(name, {x, y, w, h}={}){
+    if (!this._putSection({ name, type:'rect', x, y, w, h })) return false;
+    this._log(`🗂️ Section "${name}": ${w}×${h} at (${x}, ${y}) → ${this._sectionCount(this.sections.find(s=>s.name===name))} px`);
+    this.saveState();
+    return true;
+  }
+  // cut the template into cols×rows tiles named r1c1, r1c2, … (previous tiles are replaced)
+  splitSections(cols, rows=cols){
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols<1 || rows<1) { this._warn('splitSections(cols, rows) needs positive integers'); return false; }
+    if (!this.pixels.length) { this._warn('⚠️ Load an image first'); return false; }
+    const {w, h} = this._templateSize(), tw = Math.ceil(w/cols), th = Math.ceil(h/rows);
+    const tiles = [];
+    for (let r=0; r<rows; r++) for (let c=0; c<cols; c++) {
+      if (c*tw >= w || r*th >= h) continue;
+      tiles.push({ name:`r${r+1}c${c+1}`, type:'tile', x:c*tw, y:r*th, w:Math.min(tw, w-c*tw), h:Math.min(th, h-r*th) });
+    }
+    this.sections = this.sections.filter(s=>s.type!=='tile' && !tiles.some(t=>t.name===s.name)).concat(tiles);
+    if (this.activeSection && !this._section(this.activeSection)) this.activeSection = null;
+    this._partitionSection();
+    this._log(`🗂️ Split into ${tiles.length} tile(s) of ${tw}×${th} cells: ${tiles.map(t=>t.name).join(', ')}`);
+    this.saveState();
+    return true;
+  }
+  // mask over the template grid: a predicate (x,y)=>bool, an RGBA image {width,height,data}, or an image URL/data URL/File.
+  // Images are stretched to the template size; white/opaque cells (alpha ≥ 128 and light) are inside.
+  async addMaskSection(name, mask){
+    if (!this.pixels.length) { this._warn('⚠️ Load an image first'); return false; }
+    const {w, h} = this._templateSize();
+    let inside;
+    try{
+      if (typeof mask === 'function') inside = mask;
+      else {
+        const img = (mask && mask.data && mask.width) ? mask : await this._maskImage(mask, w, h);
+        const sx = img.width/w, sy = img.height/h;
+        inside = (x,y) => {
+          const i = (Math.min(img.height-1, Math.floor((y+0.5)*sy))*img.width + Math.min(img.width-1, Math.floor((x+0.5)*sx)))*4, d = img.data;
+          return d[i+3] >= 128 && 0.299*d[i] + 0.587*d[i+1] + 0.114*d[i+2] >= 128;
+        };
+      }
+    }catch(e){ this._warn('⚠️ Mask could not be read:', e?.message || e); return false; }
+    const bits = new Uint8Array(w*h);
+    for (let y=0; y<h; y++) for (let x=0; x<w; x++) bits[y*w+x] = inside(x,y) ? 1 : 0;
+    if (!this._putSection({ name, type:'mask', w, h, rle:rleEncode(bits) })) return false;
+    this._log(`🗂️ Mask section "${name}" → ${this._sectionCount(this._section(name))} px`);
+    this.saveState();
+    return true;
+  }
+  async _maskImage(src, w, h){
+    const url = (typeof Blob !== 'undefined' && src instanceof Blob) ? URL.createObjectURL(src) : src;
+    if (typeof url !== 'string') throw new Error('unsupported mask (use a function, ImageData, URL or File)');
+    try{
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      await new Promise((res,rej)=>{ img.onload=()=>res(); img.onerror=()=>rej(new Error('Image load error')); img.src = url; });
+      const cvs = document.createElement('canvas');
+      cvs.width = w; cvs.height = h;
+      const ctx = cvs.getContext('2d',{willReadFrequently:true});
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(img, 0, 0, w, h);
+      return ctx.getImageData(0,0,w,h);
+    } finally { if (url !== src) URL.revokeObjectURL(url); }
+  }
+  removeSection(name){
+    if (!this._section(name)) { this._warn(`⚠️ No section "${name}"`); return false; }
+    this.sections = this.sections.filter(s=>s.name!==name);
+    if (this.activeSection === name) { this.activeSection = null; this._partitionSection(); }
+    this._log(`🗂️ Section "${name}" removed`);
+    this.saveState();
+    return true;
+  }
+  clearSections(){
+    this.sections = [];
+    this.activeSection = null;
+    this._partitionSection();
+    this._log('🗂️ Sections cleared → whole template');
+    this.saveState();
+  }
+  // draw only this section from now on (null → whole template); its pending pixels move to the front
+  selectSection(name){
+    if (name != null && !this._section(name)) { this._warn(`⚠️ No section "${name}". See wplaceBot.sectionReport()`); return false; }
+    this.activeSection = name ?? null;
+    this._partitionSection();
+    this._log(name==null ? '🗂️ Drawing the whole template' : `🗂️ Section "${name}" selected: ${this._runEnd-this.currentPixel} px to go`);
+    this.saveState();
     return true;
   }
+  // put a section's placed pixels back into the work list and select it (repaint after damage)
+  redoSection(name){
+    const sec = this._section(name);
+    if (!sec) { this._warn(`⚠️ No section "${name}"`); return false; }
+    if (this.isRunning) { this._warn('⚠️ Stop the bot first'); return false; }
+    const keep=[], redo=[];
+    for (let i=0; i<this.currentPixel; i++) (this._inSection(sec, this.pixels[i]) ? redo : keep).push(this.pixels[i]);
+    this.pixels = keep.concat(this._orderPixels(redo, this.pixels), this.pixels.slice(this.currentPixel));
+    this.currentPixel = keep.length;
+    this._log(`🔁 Section "${name}": ${redo.length} placed px back in the work list`);
+    return this.selectSection(name);
+  }
+  _sectionCount(sec){ let n=0; for (const p of this.pixels) if (this._inSection(sec, p)) n++; return n; }
+  // pending pixels of the active section first (stable), so a run ends at this._runEnd
+  _partitionSection(){
+    const sec = this._section(this.activeSection);
+    if (!sec) { this._runEnd = this.pixels.length; return; }
+    const inside=[], outside=[];
+    for (let i=this.currentPixel; i<this.pixels.length; i++) (this._inSection(sec, this.pixels[i]) ? inside : outside).push(this.pixels[i]);
+    // new array only when the order changes (unchanged templates are not rewritten to storage)
+    if (inside.some((p,i)=>this.pixels[this.currentPixel+i]!==p)) this.pixels = this.pixels.slice(0, this.currentPixel).concat(inside, outside);
+    this._runEnd = this.currentPixel + inside.length;
+  }
+  // per-section completion
+  sectionReport({print=true}={}){
+    const rows = this.sections.map(sec=>({ section:sec.name, type:sec.type, area: sec.type==='mask' ? `mask ${sec.w}×${sec.h}` : `${sec.w}×${sec.h} at (${sec.x}, ${sec.y})`, pixels:0, done:0 }));
+    this.pixels.forEach((p, i) => this.sections.forEach((sec, j) => {
+      if (!this._inSection(sec, p)) return;
+      rows[j].pixels++;
+      if (i < this.currentPixel) rows[j].done++;
+    }));
+    for (const r of rows) { r.percent = r.pixels ? +(r.done/r.pixels*100).toFixed(1) : 100; r.active = r.section===this.activeSection; }
+    if (print) {
+      if (!rows.length) this._log('🗂️ No sections. addSection(name, {x,y,w,h}), splitSections(cols, rows) or addMaskSection(name, mask).');
+      else this._table(rows.map(r=>({ ...r, active: r.active ? '▶' : '', percent: r.percent+'%' })));
+    }
+    return rows;
+  }
 
   // ===== MAIN LOOP =====
   async start(){
-    if (this.isRunning) { console.log('⚠️ Bot already running'); return; }
-    if (!this.pixels.length) { console.log('⚠️ Load an image first'); return; }
-    if (!this.canvas) { console.log('⚠️ Canvas not found'); return; }
+    if (this.isRunning) { this._log('⚠️ Bot already running'); return; }
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return; }
+    if (!this.canvas) { this._log('⚠️ Canvas not found'); return; }
+    if (this._viewStale()) { this._log('⚠️ Board view not synced. Run wplaceBot.syncView() first.'); return; }
+    if (this._gridStale()) { this._log('⚠️ Zoom changed since grid calibration. Run wplaceBot.calibrateGrid(…) again first.'); return; }
+    if (this._cellsStale()) { this._log('⚠️ Zoom changed since the cell size was measured. Run calibrate() + calibrateY() or setCellSize(w, h) again first.'); return; }
+    if (!(await this._claimTab())) return;
+    this._watchZoom();
 
     if (this.useAutoPalette && this.colorPalette.length===0) {
       if(!this._autoWarned){
-        console.warn('🎨 No palette detected → MANUAL color mode. Pick a color in the UI, then wplaceBot.refreshPalette() to re-enable auto.');
+        this._warn('🎨 No palette detected → MANUAL color mode. Pick a color in the UI, then wplaceBot.refreshPalette() to re-enable auto.');
         this._autoWarned=true;
       }
       this.useAutoPalette=false;
     }
 
     // Grid/checks
-    const W = (typeof this.cellW==='number' && this.cellW>0) ? this.cellW : 1;
-    const H = (typeof this.cellH==='number' && this.cellH>0) ? this.cellH : W;
+    const {W,H} = this._cellSize();
     if ((W===1 || H===1) && !this._warnedNoCell) {
-      console.warn('⚠️ Cell size not calibrated. Pixels may not be contiguous. Use wplaceBot.calibrate() and wplaceBot.calibrateY() for perfect grid alignment.');
+      this._warn('⚠️ Cell size not calibrated. Pixels may not be contiguous. Use wplaceBot.calibrate() and wplaceBot.calibrateY() for perfect grid alignment.');
       this._warnedNoCell = true;
     }
 
+    if (this.coverageOnStart) this.coverageReport();
+    if (this.diffMode) this.verify();
+    this._partitionSection();
+    if (this.activeSection && this._runEnd <= this.currentPixel) {
+      this._log(`✅ Section "${this.activeSection}" is complete. wplaceBot.selectSection(null) for the whole template, or redoSection("${this.activeSection}").`);
+      return;
+    }
+
+    this._pickedEntry = null; // the user may have picked another color since
+    this.fault = null;
     this.isRunning = true;
-    console.log(`🚀 Bot started (${this.imageName}) from pixel #${this.currentPixel+1}/${this.pixels.length}`);
+    this._log(`🚀 Bot started (${this.imageName}) from pixel #${this.currentPixel+1}/${this.pixels.length}` +
+      (this.activeSection ? ` | section "${this.activeSection}": ${this._runEnd-this.currentPixel} px to go` : ''));
+    this.emit('start', { imageName:this.imageName, index:this.currentPixel, total:this.pixels.length });
+    this._statsBegin();
 
-    while (this.isRunning && this.currentPixel < this.pixels.length) {
-      const p = this.pixels[this.currentPixel];
+    let reason = 'stopped';
+    const skip = async (index, pixel, why) => {
+      this.currentPixel++;
+      this._statsSkip(why);
+      this.emit('skip', { index, pixel, reason:why });
+      await this.sleep(1);
+    };
+    const wd = this.watchdog;
+    let last = null, misses = 0, clickFaults = 0; // previous click, read back before the next one
+    // an empty cell reads as "no color" too, so read-back only counts once the board is known to be readable
+    const capture = this.undoCapture && !this.undoOf;
+    const readable = ((wd.enabled && wd.checkClicks) || capture) && !!this._snapshotBoard();
+    if (capture && !readable && !this._undoWarned) { this._warn('⚠️ The board can\'t be read → no undo snapshot for this run'); this._undoWarned = true; }
+    const undoPl = capture && readable ? this._undoPlacement() : -1;
+    const recover = async (fault) => {
+      if (await this._recover(fault)) return true;
+      reason = 'fault'; this.isRunning = false;
+      return false;
+    };
+    try{
+      while (this.isRunning && (this.currentPixel < this._runEnd || last)) {
+        const fault = this._pageFault();
+        if (fault) { if (!(await recover(fault))) break; last = null; continue; }
+        if (last) { // did the previous click show up on the board?
+          const landed = this._clickLanded(last, readable);
+          const missed = last;
+          last = null;
+          if (landed === false) {
+            this._statsMiss(missed.placedColor || missed.pixel.color);
+            this.currentPixel = missed.index; // place it again
+            this._pickedEntry = null;         // the selection may be gone too
+            if (++misses >= wd.maxMisses) {
+              misses = 0;
+              const fault = { code:'CLICK_NO_EFFECT', message:`${wd.maxMisses} clicks in a row didn't show up on the board`, index:missed.index, attempts:clickFaults };
+              clickFaults++;
+              if (!(await recover(fault))) break;
+            } else this._log(`👀 Pixel #${missed.index+1} didn't show up on the board → placing it again`);
+            continue;
+          }
+          if (landed) misses = clickFaults = 0;
+          if (this.currentPixel >= this._runEnd) break;
+        }
+        if (this._viewStale()) { this._warn('🧭 Paused: board view changed. wplaceBot.syncView(), then wplaceBot.resume().'); reason = 'view'; this.isRunning = false; break; }
+        if (this._gridStale()) { reason = 'zoom'; this.isRunning = false; break; }
+        if (this._cellsStale()) { this._warn('📏 Paused: zoom changed since the cell size was measured. Measure it again, syncView(), then resume().'); reason = 'zoom'; this.isRunning = false; break; }
+        const index = this.currentPixel, p = this.pixels[index];
 
-      // click at the CENTER of the target cell on screen space
-      const x = this.startX + p.x * W + Math.floor(W/2);
-      const y = this.startY + p.y * H + Math.floor(H/2);
+        // click at the CENTER of the target cell on screen space
+        const {x,y} = this.pixelToScreen(p);
 
-      if (this.useAutoPalette) {
-        const res = this.selectColorSmart(p.color);
-        if (res === 'SKIP') {
-          this.currentPixel++;
-          await this.sleep(1);
-          continue;
+        let seen; // board color under the cell, when read
+        if (this.diffMode) { // already the right color → nothing to place
+          const c = seen = this.sampleBoardColor(x, y);
+          if (c && this._boardMatches(p.color, c)) { await skip(index, p, 'correct'); continue; }
         }
-        if (res === true) {
-          await this.sleep(180); // small pause after switching color
+
+        const ctx = { index, pixel:p, x:p.x, y:p.y, color:p.color, screenX:x, screenY:y };
+        if (this._hooks.beforePixel.length && !(await this._beforePixel(ctx))) { await skip(index, p, 'plugin'); continue; }
+
+        if (!(await this._awaitCharge())) break;
+
+        if (this.useAutoPalette) {
+          const res = this.selectColorSmart(p.color);
+          if (res === 'SKIP') { await skip(index, p, 'locked'); continue; }
+          if (res === 'STALE') {
+            if (!(await recover({ code:'PALETTE_STALE', message:'the color swatch is no longer on the page', index }))) break;
+            continue;
+          }
+          if (res === true) {
+            await this.sleep(180); // small pause after switching color
+          }
         }
-      }
 
-      this.clickCanvas(x, y);
-      this.currentPixel++;
+        if (undoPl >= 0) this._recordUndo(p, x, y, seen, undoPl);
+        this.clickCanvas(x, y);
+        this.currentPixel++;
+        const placedColor = this.useAutoPalette ? this.selectedColor : null, remapped = this.useAutoPalette && this._remapped;
+        if (readable && wd.enabled && wd.checkClicks && this.useAutoPalette) last = { index, pixel:p, x, y, placedColor };
+        this._statsPlace(placedColor || p.color, remapped);
+        this.emit('pixel', { ...ctx, placedColor, remapped, done:this.currentPixel, total:this.pixels.length });
+        if (this._hooks.afterPixel.length) await this._afterPixel(ctx);
 
-      if (this.currentPixel % this.autosaveEvery === 0) this.saveState();
-      await this.sleep(this.delay);
+        if (this.currentPixel % this.autosaveEvery === 0) this.saveState();
+        await this.sleep(this.delay);
+      }
+    }catch(e){
+      this._error('❌ Bot error → stopped:', e);
+      this.emit('error', { error:e, during:'draw', index:this.currentPixel });
+      reason = 'error';
     }
 
     this.isRunning = false;
-    if (this.currentPixel >= this.pixels.length) { console.log('✅ Bot finished. Clearing saved state.'); this.clearState(); }
-    else { console.log('⏸️ Bot stopped mid-way. Progress saved.'); this.saveState(); }
+    const total = this.pixels.length;
+    const section = this.activeSection;
+    if (section && this.currentPixel < total && this.currentPixel >= this._runEnd) reason = 'section';
+    this._statsEnd(this.currentPixel >= total ? 'finished' : reason);
+    if (this.currentPixel >= total && this._maintainTimer) { this._log('✅ Bot finished. Maintain mode keeps the template saved.'); this.saveState(); }
+    else if (this.currentPixel >= total) { // the undo snapshot stays; a queued project is stored as done
+      this._log('✅ Bot finished. Clearing saved state.');
+      this._syncActiveProject();
+      this._write(this._activeProject() ? [...this._queueEntries(this.projects, this.activeProjectId), ...this._undoEntries()] : this._undoEntries());
+      this.clearState();
+    }
+    else if (reason === 'section') { this._log(`✅ Section "${section}" done. Pick the next one with wplaceBot.selectSection(name). Progress saved.`); this.saveState(); }
+    else if (reason === 'fault') this.saveState(); // _recover explained what went wrong
+    else { this._log('⏸️ Bot stopped mid-way. Progress saved.'); this.saveState(); }
+    if (section && (this.currentPixel >= total || reason === 'section')) this.emit('sectionDone', { name:section || null, imageName:this.imageName });
+    if (this.currentPixel >= total) this.emit('finished', { imageName:this.imageName, total });
+    else this.emit('paused', { reason, section, index:this.currentPixel, total, ...(reason === 'fault' ? { fault:this.fault } : {}) });
+  }
+
+  // ===== WATCHDOG =====
+  // what is wrong with the page right now → {code, message} or null
+  _pageFault(){
+    const wd = this.watchdog, page = this.page;
+    if (!wd.enabled || !page.isLive) return null;
+    if (!this.canvas || !page.isLive(this.canvas)) {
+      return this.canvas && !this.canvas.isConnected
+        ? { code:'CANVAS_DETACHED', message:'the board canvas was replaced (the site re-rendered)' }
+        : { code:'CANVAS_HIDDEN', message:'the board canvas is hidden or gone' };
+    }
+    if (this.useAutoPalette && this.colorPalette.length && !this.colorPalette.some(e=>page.isLive(e.element))) {
+      return { code:'PICKER_CLOSED', message:'no color swatch is visible (color picker closed?)' };
+    }
+    return null;
+  }
+  // true/false: the board shows the clicked color; null: can't tell (unreadable board)
+  _clickLanded(c, readable){
+    const got = this.sampleBoardColor(c.x, c.y);
+    if (!got) return readable ? false : null;
+    return this._boardMatches(c.pixel.color, got);
+  }
+  // pause, rediscover canvas and palette with growing waits; false (and this.fault set) when it doesn't come back.
+  // fault.attempts: tries already spent on the same problem (clicks that keep missing after a "recovery")
+  async _recover(fault){
+    const wd = this.watchdog, index = fault.index ?? this.currentPixel;
+    this._warn(`🩺 Watchdog: ${fault.message} → paused at pixel #${index+1}, looking for the board again…`);
+    this.emit('paused', { reason:'recover', code:fault.code, index, total:this.pixels.length });
+    this.saveState();
+    let attempts = fault.attempts || 0;
+    while (this.isRunning && attempts < wd.retries) {
+      await this._sleepWhileRunning(Math.min(wd.maxBackoffMs, wd.backoffMs * 2**attempts));
+      attempts++;
+      if (!this.isRunning) break;
+      const found = this.page.findCanvas();
+      if (!found || !this.page.isLive(found.el)) continue;
+      if (this.useAutoPalette) {
+        let swatches = this.page.findSwatches();
+        if (!swatches.length && this.page.openPicker?.()) { await this.sleep(500); swatches = this.page.findSwatches(); }
+        if (!swatches.length) continue;
+      }
+      if (found.el !== this.canvas) { this.canvas = found.el; this._log('✅ Canvas found again via:', found.selector); }
+      if (this.useAutoPalette) this.findColorPalette();
+      this._pickedEntry = null;
+      this._log(`🩺 Recovered after ${attempts} attempt(s) → drawing`);
+      this.emit('resumed', { reason:'recover', code:fault.code, index });
+      return true;
+    }
+    if (!this.isRunning) return false; // stopped by the user: not a fault
+    this.fault = { code:fault.code, message:fault.message, index, attempts, at:Date.now() };
+    const err = new Error(`Watchdog gave up after ${attempts} attempt(s): ${fault.message}`);
+    this._error(`❌ ${err.message}. Progress saved at pixel #${index+1}. Fix the page (reload, open the color picker), then wplaceBot.resume(). Details: wplaceBot.fault`);
+    this.emit('error', { error:err, during:'watchdog', fault:this.fault });
+    return false;
+  }
+
+  // ===== CHARGES / SCHEDULER =====
+  // the site's charge counter (e.g. "Paint 12/30 (0:27)") → {count, max, cooldownMs} or null; override if your site differs
+  readCharges(){ return this.page.readCharges(); }
+  setChargeAware(on=true){
+    this.chargeAware = !!on;
+    this._log(`🔋 Charge-aware scheduling: ${this.chargeAware?'ON':'OFF (fixed delay)'}`);
+  }
+  setResumeCharges(n){
+    if (!Number.isFinite(n) || n<1) { this._warn('resumeCharges must be ≥ 1'); return; }
+    this.resumeCharges = Math.floor(n);
+    this._log(`🔋 Resume after ${this.resumeCharges} charge(s) are back`);
+  }
+  // resolves true when a pixel may be placed, false if the bot was stopped while waiting
+  async _awaitCharge(){
+    if (!this.chargeAware) return true;
+    let c = this.readCharges();
+    if (!c) {
+      if (!this._chargeWarned) { this._log('🔋 Charge counter not found → using the fixed delay.'); this._chargeWarned = true; }
+      return true;
+    }
+    if (c.count > 0) return true;
+    const need = Math.min(this.resumeCharges, c.max || this.resumeCharges);
+    let announced = false;
+    while (this.isRunning && c && c.count < need) {
+      const wait = (c.cooldownMs ?? this.chargeRefillMs) + Math.max(0, need-c.count-1)*this.chargeRefillMs;
+      this.nextResumeAt = Date.now() + wait;
+      if (!announced) {
+        this._log(`⏳ Out of charges (${c.count}/${c.max}) → resuming ~${new Date(this.nextResumeAt).toLocaleTimeString()}`);
+        this.emit('paused', { reason:'charges', index:this.currentPixel, total:this.pixels.length, resumeAt:this.nextResumeAt });
+        announced = true;
+      }
+      await this._sleepWhileRunning(Math.min(wait, 5000)); // re-read the counter every few seconds
+      c = this.readCharges();
+    }
+    this.nextResumeAt = null;
+    if (announced && this.isRunning) { this._log('🔋 Charges available → drawing'); this.emit('resumed', { reason:'charges', index:this.currentPixel }); }
+    return this.isRunning;
+  }
+  async _sleepWhileRunning(ms){
+    const until = Date.now() + ms;
+    while (this.isRunning && Date.now() < until) await this.sleep(Math.min(250, until-Date.now()));
   }
 
-  stop(){ if(!this.isRunning) console.log('ℹ️ Not running'); this.isRunning=false; this.saveState(); console.log('⏹️ Stopped (state saved).'); }
-  resume(){ if(!this.pixels.length){ if(!this.loadState()){ console.log('ℹ️ No saved session'); return; } } this.start(); }
+  // ===== READ-BACK / DIFF =====
+  // color rendered at a canvas-relative screen point → {r,g,b} or null (off-canvas, transparent or unreadable)
+  sampleBoardColor(x,y){ return this.canvas ? this.page.sampleColor(this.canvas, x, y) : null; }
+  // one copy of the whole rendered board for scans
+  _snapshotBoard(){ return this.canvas ? this.page.snapshot(this.canvas) : null; }
+  _sampleSnapshot(snap, x, y){
+    const px = Math.floor(x*snap.sx), py = Math.floor(y*snap.sy);
+    if (px<0 || py<0 || px>=snap.w || py>=snap.h) return null;
+    const i = (py*snap.w + px)*4;
+    return snap.data[i+3]<128 ? null : { r:snap.data[i], g:snap.data[i+1], b:snap.data[i+2] };
+  }
+  // what the bot actually puts down for a template color (locked colors are remapped in 'map' mode)
+  _expectedColor(hex){
+    const closest = this.colorPalette.length ? this.findClosestEntry(hex) : null;
+    if (!closest) return this.hexToRgb(hex);
+    if (closest.locked && this.lockedColorMode === 'map') {
+      const u = this.findClosestEntry(hex, {onlyUnlocked:true});
+      if (u) return this.rgbStringToObject(u.color);
+    }
+    return this.rgbStringToObject(closest.color);
+  }
+  _boardMatches(hex, rgb, cache){
+    let e = cache?.get(hex);
+    if (!e) { e = this._expectedColor(hex); cache?.set(hex, e); }
+    return Math.hypot(e.r-rgb.r, e.g-rgb.g, e.b-rgb.b) <= this.verifyTolerance;
+  }
+  setDiffMode(on=true){
+    this.diffMode = !!on;
+    this._log(`🔍 Diff mode: ${this.diffMode?'ON (skip correct pixels)':'OFF'}`);
+  }
+  setVerifyTolerance(n){
+    if (typeof n !== 'number' || !Number.isFinite(n) || n<0) { this._warn('tolerance must be a number ≥ 0'); return; }
+    this.verifyTolerance = n;
+    this._log(`🔍 Verify tolerance = ${n}`);
+  }
+  // scan every template pixel; correct ones become "done", mismatched ones join the work list.
+  // Cells that can't be read (off-screen/off-canvas) keep their state: placed stays placed, pending stays pending.
+  verify({requeue=true}={}){
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return null; }
+    if (this._viewStale()) { this._log('⚠️ Board view not synced. Run wplaceBot.syncView() first.'); return null; }
+    const snap = this._snapshotBoard();
+    const done=[], todo=[], cache=new Map();
+    let unreadable = 0, correct = 0, mismatched = 0;
+    this.pixels.forEach((p, i) => {
+      const s = this.pixelToScreen(p);
+      const c = snap && this._sampleSnapshot(snap, s.x, s.y);
+      if (!c) { unreadable++; (i < this.currentPixel ? done : todo).push(p); return; }
+      if (this._boardMatches(p.color, c, cache)) { correct++; done.push(p); } else { mismatched++; todo.push(p); }
+    });
+    if (unreadable === this.pixels.length) {
+      this._warn('⚠️ Board not readable (canvas blank to scripts, or template off-screen) → verify skipped.');
+      return null;
+    }
+    const report = { total:this.pixels.length, correct, mismatched, unreadable };
+    this._log(`🔍 Verify: ${correct} correct, ${mismatched} wrong, ${unreadable} not visible (left as they were)`);
+    if (requeue) {
+      this.pixels = done.concat(this._orderPixels(todo, this.pixels));
+      this.currentPixel = done.length;
+      this._partitionSection();
+      this.saveState();
+    }
+    return report;
+  }
+  // rescan a finished project every N seconds and repair drifted pixels
+  startMaintain(intervalSec=120){
+    const sec = Number.isFinite(intervalSec) && intervalSec>=10 ? intervalSec : 120;
+    this.stopMaintain(true);
+    this._maintainTimer = setInterval(()=>this._maintainTick(), sec*1000);
+    this._log(`🛠️ Maintain mode ON: rescanning every ${sec}s`);
+    this._maintainTick();
+  }
+  stopMaintain(quiet=false){
+    if (this._maintainTimer) { clearInterval(this._maintainTimer); this._maintainTimer = null; if (!quiet) this._log('🛠️ Maintain mode OFF'); }
+  }
+  _maintainTick(){
+    if (this.isRunning) return;
+    const r = this.verify();
+    if (!r || this.currentPixel >= this.pixels.length) return;
+    this._log(`🛠️ Maintain: ${this.pixels.length-this.currentPixel} px need repair → drawing`);
+    this.start();
+  }
+
+  stop(){ if(!this.isRunning) this._log('ℹ️ Not running'); this.isRunning=false; this.saveState(); this._log('⏹️ Stopped (state saved).'); }
+  async resume(){ if(!this.pixels.length){ if(!(await this.loadState())){ this._log('ℹ️ No saved session'); return; } } return this.start(); }
   sleep(ms){ return new Promise(r=>setTimeout(r,ms)); }
 
+  // ===== STATS & HISTORY =====
+  _statsBegin(){
+    this.stats = {
+      startedAt:Date.now(), endedAt:null, imageName:this.imageName, projectId:this.activeProjectId,
+      startIndex:this.currentPixel, placed:0, skipped:0, skippedBy:{}, remapped:0, misses:0, byColor:{}, recent:[],
+    };
+  }
+  _statsPlace(hex, remapped){
+    const s = this.stats;
+    s.placed++;
+    if (remapped) s.remapped++;
+    s.byColor[hex] = (s.byColor[hex] || 0) + 1;
+    s.recent.push(Date.now());
+    if (s.recent.length > 60) s.recent.shift();
+    if (this.progressLogEvery && s.placed % this.progressLogEvery === 0) this._log('📈 ' + this._progressLine());
+  }
+  // the click didn't show up: it is placed again, so it doesn't count
+  _statsMiss(hex){
+    const s = this.stats;
+    s.misses++;
+    if (s.placed) s.placed--;
+    if (s.byColor[hex] > 0) s.byColor[hex]--;
+  }
+  _statsSkip(reason){
+    const s = this.stats;
+    s.skipped++;
+    s.skippedBy[reason] = (s.skippedBy[reason] || 0) + 1;
+  }
+  // the run is over: stamp it and append it to the persisted history
+  _statsEnd(result){
+    const s = this.stats;
+    if (!s) return;
+    s.endedAt = Date.now();
+    if (!s.placed && !s.skipped) return;
+    this.history.push({
+      startedAt:new Date(s.startedAt).toISOString(), endedAt:new Date(s.endedAt).toISOString(), durationSec:Math.round((s.endedAt-s.startedAt)/1000),
+      project:s.imageName, projectId:s.projectId, result, placed:s.placed, skipped:s.skipped, remapped:s.remapped,
+      from:s.startIndex, to:this.currentPixel, total:this.pixels.length,
+    });
+    if (this.history.length > this.historyLimit) this.history.splice(0, this.history.length-this.historyLimit);
+    this._write([['history', this.history.slice()]]);
+  }
+  // real placing speed: over the last clicks while running, over the whole run once it ended
+  pixelsPerMinute(){
+    const s = this.stats;
+    if (!s || !s.placed) return null;
+    if (s.endedAt) return s.endedAt > s.startedAt ? s.placed / (s.endedAt-s.startedAt) * 60000 : null;
+    const r = s.recent, span = r[r.length-1] - r[0];
+    return r.length > 1 && span > 0 ? (r.length-1) / span * 60000 : null;
+  }
+  // time left: the fixed delay, or the charge refill rate once the charges on hand run out
+  _etaMs(){
+    const left = Math.max(0, this.pixels.length-this.currentPixel), byDelay = left*this.delay;
+    const c = this.chargeAware ? this.readCharges() : null;
+    if (!c || left <= c.count) return byDelay;
+    return Math.max(byDelay, (c.cooldownMs ?? this.chargeRefillMs) + (left-c.count-1)*this.chargeRefillMs);
+  }
+  _progressLine(){
+    const total = this.pixels.length, done = Math.min(this.currentPixel, total), rate = this.pixelsPerMinute();
+    return `${done}/${total} px (${total ? (done/total*100).toFixed(1) : 0}%)` +
+      (rate ? ` · ${rate.toFixed(1)} px/min` : '') + (done < total ? ` · ETA ${this._fmtDuration(this._etaMs())}` : '');
+  }
+  // current run: counters, speed, ETA and per-color totals
+  statsReport({print=true}={}){
+    const s = this.stats;
+    if (!s) { this._log('ℹ️ No run yet. Stats start with wplaceBot.start().'); return null; }
+    const colors = Object.entries(s.byColor).sort((a,b)=>b[1]-a[1])
+      .map(([hex, pixels])=>({ color:this.catalogColor(hex)?.name || hex, hex, pixels }));
+    const report = {
+      imageName:s.imageName, running:!s.endedAt, placed:s.placed, skipped:s.skipped, skippedBy:{ ...s.skippedBy }, remapped:s.remapped, misses:s.misses,
+      pixelsPerMinute:this.pixelsPerMinute(), etaMs:this._etaMs(), done:this.currentPixel, total:this.pixels.length, colors,
+    };
+    if (print) {
+      const why = Object.entries(s.skippedBy).map(([k,v])=>`${k} ${v}`).join(', ');
+      this._log(`📈 ${s.imageName}: placed ${s.placed}, skipped ${s.skipped}${why ? ` (${why})` : ''}, remapped ${s.remapped}${s.misses ? `, re-placed ${s.misses}` : ''} | ${this._progressLine()}`);
+      this._table(colors);
+    }
+    return report;
+  }
+  async _loadHistory(){
+    try{ const h = await this.store.get('history'); this.history = Array.isArray(h) ? h : []; }
+    catch(e){ this._warn('⚠️ Could not read the session history:', e); }
+  }
+  listHistory(){
+    if (!this.history.length) { this._log('📜 No sessions recorded yet.'); return; }
+    this._table(this.history);
+  }
+  // history as 'csv' or 'json' text
+  historyText(format='csv'){
+    if (format === 'json') return JSON.stringify(this.history, null, 2);
+    const cols = ['startedAt','endedAt','durationSec','project','projectId','result','placed','skipped','remapped','from','to','total'];
+    const cell = (v) => { const t = v==null ? '' : String(v); return /[",\n\r]/.test(t) ? '"' + t.replace(/"/g, '""') + '"' : t; };
+    return [cols.join(','), ...this.history.map(h=>cols.map(c=>cell(h[c])).join(','))].join('\n');
+  }
+  exportHistory(format='csv', filename){
+    if (!['csv','json'].includes(format)) { this._warn("format must be 'csv' or 'json'"); return null; }
+    const text = this.historyText(format);
+    this._download(filename || `wplace-bot-history.${format}`, text, format==='csv' ? 'text/csv' : 'application/json');
+    this._log(`📜 Exported ${this.history.length} session(s) as ${format.toUpperCase()}`);
+    return text;
+  }
+  clearHistory(){
+    this.history = [];
+    this._log('📜 Session history cleared');
+    return this._write([], ['history']);
+  }
+
   // ===== PERSISTENCE =====
-  saveState(){
+  // per-project fields: template, progress, position, grid, palette & order settings
+  _captureProject(){
+    return {
+      imageName:this.imageName, pixels:this.pixels, currentPixel:this.currentPixel,
+      startX:this.startX, startY:this.startY, anchor:this.anchor,
+      cellW:this.cellW, cellH:this.cellH, cellFp:this.cellFp, grid:this.grid,
+      lockedColorMode:this.lockedColorMode, ditherMode:this.ditherMode, colorMetric:this.colorMetric,
+      drawOrder:this.drawOrder, orderSeed:this.orderSeed,
+      sections:this.sections, activeSection:this.activeSection, undoOf:this.undoOf, teamId:this.teamId
+    };
+  }
+  // stored meta (v3): everything but the pixels, which live in their own binary record
+  _serializeProject(p){
+    return {
+      version:3,
+      imageName:p.imageName,
+      startX:p.startX, startY:p.startY,
+      currentPixel:p.currentPixel,
+      totalPixels:p.pixels.length,
+      cellW:p.cellW, cellH:p.cellH, cellFp:p.cellFp, grid:p.grid,
+      anchor:p.anchor,
+      lockedColorMode:p.lockedColorMode, ditherMode:p.ditherMode, colorMetric:p.colorMetric,
+      drawOrder:p.drawOrder, orderSeed:p.orderSeed,
+      sections:p.sections, activeSection:p.activeSection, undoOf:p.undoOf, teamId:p.teamId
+    };
+  }
+  // validated project fields (missing values fall back to the current ones), or null.
+  // v3 meta takes its decoded pixels separately; v1/v2 are the old localStorage JSON (pixels inline).
+  _deserializeProject(s, pixels){
+    if(!s) return null;
+    const v3=s.version===3 && Array.isArray(pixels) && pixels.length===s.totalPixels;
+    const v2=s.version===2 && Array.isArray(s.pixels);
+    if(!v3 && !v2 && !(s.version===1 && Array.isArray(s.remaining))) return null;
+    const p=this._captureProject();
+    p.imageName=s.imageName||'Custom Image';
+    p.startX=Number.isFinite(s.startX)?s.startX:p.startX;
+    p.startY=Number.isFinite(s.startY)?s.startY:p.startY;
+    p.cellW =Number.isFinite(s.cellW )?s.cellW :p.cellW;
+    p.cellH =Number.isFinite(s.cellH )?s.cellH :p.cellH;
+    const cf=s.cellFp;
+    p.cellFp=(cf && typeof cf==='object') ? { zoom:Number.isFinite(cf.zoom) ? cf.zoom : null, dpr:Number.isFinite(cf.dpr) ? cf.dpr : 1, ...(cf.stale ? {stale:true} : {}) } : null;
+    p.anchor=(s.anchor && Number.isFinite(s.anchor.x) && Number.isFinite(s.anchor.y)) ? {x:s.anchor.x, y:s.anchor.y} : null;
+    const g=s.grid;
+    p.grid=(g && ['a','b','c','d'].every(k=>Number.isFinite(g[k])) && g.a*g.d-g.b*g.c>0 && g.fp && typeof g.fp==='object')
+      ? { a:g.a, b:g.b, c:g.c, d:g.d, fp:{ zoom:g.fp.zoom ?? null, dpr:g.fp.dpr ?? 1, w:g.fp.w ?? null, h:g.fp.h ?? null } } : null;
+    if (['skip','map','manual'].includes(s.lockedColorMode)) p.lockedColorMode=s.lockedColorMode;
+    if (DITHER_KERNELS[s.ditherMode] || ['none','ordered'].includes(s.ditherMode)) p.ditherMode=s.ditherMode;
+    if (['rgb','weighted','lab','ciede2000'].includes(s.colorMetric)) p.colorMetric=s.colorMetric;
+    if (typeof s.drawOrder==='string' && /^[\w-]{1,40}$/.test(s.drawOrder)) p.drawOrder=s.drawOrder; // may name a plugin's order
+    if (Number.isFinite(s.orderSeed)) p.orderSeed=s.orderSeed;
+    p.sections = Array.isArray(s.sections) ? s.sections.filter(x=>this._validSection(x)) : [];
+    p.activeSection = p.sections.some(x=>x.name===s.activeSection) ? s.activeSection : null;
+    p.undoOf = typeof s.undoOf === 'string' ? s.undoOf : null;
+    p.teamId = typeof s.teamId === 'string' && /^[0-9a-f]{8}$/.test(s.teamId) ? s.teamId : null;
+    const px = v3 ? pixels : v2 ? s.pixels : null;
+    if (px) { p.pixels=px; p.currentPixel=Math.min(Math.max(0, s.currentPixel|0), px.length); }
+    else { p.pixels=s.remaining; p.currentPixel=0; }
+    return p;
+  }
+  _pixelsKey(projectId){ return projectId==null ? 'session:pixels' : `project:${projectId}:pixels`; }
+  // the binary template is only rewritten when the array changed (reorder, verify, new image);
+  // the 3rd element remembers which array was written
+  _pixelEntries(key, pixels){ return this._writtenPixels.get(key)===pixels ? [] : [[key, encodePixels(pixels), pixels]]; }
+  _sessionEntries(p, projectId, delay){
+    const pixelsKey=this._pixelsKey(projectId);
+    return [
+      ['session', { ...this._serializeProject(p), pixelsKey, delay, savedAt:Date.now() }],
+      ...this._pixelEntries(pixelsKey, p.pixels)
+    ];
+  }
+  _queueEntries(projects, activeProjectId){
+    const entries=[['queue', {
+      version:2, activeProjectId,
+      projects:projects.map(p=>({ id:p.id, priority:p.priority, paused:p.paused, ...this._serializeProject(p), pixelsKey:this._pixelsKey(p.id) }))
+    }]];
+    for (const p of projects) entries.push(...this._pixelEntries(this._pixelsKey(p.id), p.pixels));
+    return entries;
+  }
+  // writes (and deletes of `drop` keys) run one after another, in call order; returns a promise (true once written) for callers that want to wait.
+  // Session, queue and undo records are shared by all tabs: only the tab holding the drawing lock writes them, others only while no tab draws.
+  _write(entries, drop=[]){
+    const job = this._saveChain.then(async ()=>{
+      const shared = (k)=>k!=='settings' && k!=='history';
+      let release = null, blocked = false;
+      if (!this._releaseLock && this.tabLock.available && (entries.some(([k])=>shared(k)) || drop.some(shared))) {
+        release = await this.tabLock.acquire(this.lockName, { ifAvailable:true });
+        if (!release) {
+          blocked = true;
+          entries = entries.filter(([k])=>!shared(k));
+          drop = drop.filter(k=>!shared(k));
+          this._warn(`🔒 Not saved: ${this._ownerText()} is drawing this session. Changes in this tab are not stored.`);
+        }
+      }
+      try{
+        if (entries.length) await this.store.setMany(entries);
+        if (drop.length) await this.store.delete(...drop);
+      } finally { release?.(); }
+      for (const [k,,src] of entries) if (typeof src === 'function') src(); else if (src) this._writtenPixels.set(k, src);
+      for (const k of drop) this._writtenPixels.delete(k);
+      return !blocked;
+    });
+    this._saveChain = job.catch((e)=>{ this._warn('⚠️ save failed:', e); this.emit('error', { error:e, during:'save' }); return false; });
+    return this._saveChain;
+  }
+  async _openStore(){
+    try{ await this.store.open(); }
+    catch(e){
+      this._warn('⚠️ IndexedDB unavailable → saving to localStorage (size-limited):', e?.message || e);
+      this.store = new LocalStore('WPLACE_BOT:');
+    }
+  }
+  // one-time move of the old localStorage session/queue into the store (nothing is truncated any more)
+  async _migrateLegacy(){
+    if (typeof localStorage === 'undefined') return; // headless: nothing to migrate
     try{
-      const remaining=this.pixels.slice(this.currentPixel);
-      const state={
-        version:1,
-        imageName:this.imageName,
-        startX:this.startX, startY:this.startY,
-        delay:this.delay,
-        currentPixel:this.currentPixel,
-        totalPixels:this.pixels.length,
-        remaining: remaining.length>this.largeSaveCap ? remaining.slice(0,this.largeSaveCap) : remaining,
-        cellW:this.cellW, cellH:this.cellH,
-        savedAt: Date.now()
-      };
-      localStorage.setItem(this.stateKey, JSON.stringify(state));
-    }catch(e){ console.warn('⚠️ saveState failed:', e); }
+      const rawS=localStorage.getItem(this.stateKey), rawQ=localStorage.getItem(this.queueKey);
+      if (rawS) {
+        const s=JSON.parse(rawS), p=this._deserializeProject(s);
+        if (p && !(await this.store.get('session'))) {
+          const activeId = rawQ ? JSON.parse(rawQ)?.activeProjectId : null;
+          const pid = Number.isFinite(activeId) ? activeId : null;
+          // an active project's session shares that project's pixels record (written with the queue below)
+          const entries = this._sessionEntries(p, pid, Number.isFinite(s.delay)?s.delay:this.delay);
+          await this.store.setMany(entries.filter(([k])=>pid==null || k==='session'));
+          this._log(`📦 Migrated localStorage session "${p.imageName}" (${p.pixels.length} px) to ${this.store.name}`);
+        }
+        localStorage.removeItem(this.stateKey);
+      }
+      if (rawQ) {
+        const q=JSON.parse(rawQ);
+        if (q?.version===1 && Array.isArray(q.projects) && !(await this.store.get('queue'))) {
+          const projects=q.projects.map(s=>{
+            const p=this._deserializeProject(s);
+            return p && Number.isFinite(s.id) ? { id:s.id, priority:Number(s.priority)||0, paused:!!s.paused, ...p } : null;
+          }).filter(Boolean);
+          await this.store.setMany(this._queueEntries(projects, q.activeProjectId ?? null));
+          this._log(`📦 Migrated localStorage queue (${projects.length} project(s)) to ${this.store.name}`);
+        }
+        localStorage.removeItem(this.queueKey);
+      }
+    }catch(e){ this._warn('⚠️ Migration of the old localStorage save failed (kept as is):', e); }
+  }
+  // drop: keys deleted in the same (lock-gated) write, e.g. undo chunks past the end of a shortened log
+  saveState(drop=[]){
+    const p=this._captureProject(), active=this._activeProject();
+    const entries=this._sessionEntries(p, active ? active.id : null, this.delay);
+    if (active) { Object.assign(active, p); entries.push(...this._queueEntries(this.projects, this.activeProjectId)); }
+    entries.push(...this._undoEntries());
+    const info={ imageName:p.imageName, projectId:active ? active.id : null, currentPixel:p.currentPixel, total:p.pixels.length };
+    return this._write(entries, drop).then(ok=>{ if (ok) this.emit('save', info); return ok; });
+  }
+  async loadState(){
+    try{
+      const s=await this.store.get('session'); if(!s) return false;
+      const buf=await this.store.get(s.pixelsKey || 'session:pixels');
+      const p=this._deserializeProject(s, buf ? decodePixels(buf) : null);
+      if(!p) { this._warn('⚠️ Saved session is incomplete → ignored'); return false; }
+      Object.assign(this, p);
+      this._writtenPixels.set(s.pixelsKey || 'session:pixels', this.pixels);
+      this.delay=Number.isFinite(s.delay)?s.delay:this.delay;
+      if (this.drawOrder==='custom' && !this._orderComparator) this._log('ℹ️ Session used a custom order: saved order kept; call setDrawOrder(fn) again to reorder.');
+      else if (!this.orderStrategies[this.drawOrder]) this._log(`ℹ️ Session used the "${this.drawOrder}" order: saved order kept; install its plugin to reorder again.`);
+      this._log(`🔄 Loaded saved session: ${this.imageName} | remaining ${this.pixels.length-this.currentPixel} px`);
+      if (this.anchor) this._log(`📌 Anchored to board (${this.anchor.x}, ${this.anchor.y}) → run wplaceBot.syncView() before resuming.`);
+      this._renderPreview();
+      return true;
+    }catch(e){ this._warn('⚠️ loadState failed:', e); return false; }
+  }
+  clearState(){
+    return this._write([], ['session', 'session:pixels']);
+  }
+  // what the bot keeps in storage, plus the browser's overall usage/quota
+  async storageReport(){
+    const rows=[];
+    let total=0;
+    for (const key of await this.store.keys()) {
+      const v=await this.store.get(key);
+      const bytes = v instanceof ArrayBuffer ? v.byteLength : JSON.stringify(v).length;
+      total+=bytes;
+      // binary records: undo:N chunks hold 16-byte undo entries, the rest 12-byte pixels
+      const kind = !(v instanceof ArrayBuffer) ? 'meta' : key.startsWith('undo:') ? 'undo' : 'pixels';
+      rows.push({ key, kind, entries: kind==='meta' ? '' : bytes/(kind==='undo' ? 16 : 12), kb: +(bytes/1024).toFixed(1) });
+    }
+    const est = (typeof navigator!=='undefined' && navigator.storage?.estimate) ? await navigator.storage.estimate().catch(()=>null) : null;
+    this._log(`💾 Storage (${this.store.name}): ${(total/1024).toFixed(1)} KB in ${rows.length} record(s)`);
+    this._table(rows);
+    if (est) this._log(`💾 Browser usage for this site: ${(est.usage/1048576).toFixed(1)} MB of ${(est.quota/1048576).toFixed(0)} MB`);
+    return { backend:this.store.name, totalBytes:total, records:rows, usage:est?.usage ?? null, quota:est?.quota ?? null };
+  }
+
+  // ===== UNDO SNAPSHOT =====
+  // index of the current position/grid in undoPlacements (added when it differs from the last one)
+  _undoPlacement(){
+    const pl = { imageName:this.imageName, projectId:this.activeProjectId, startX:this.startX, startY:this.startY, anchor:this.anchor,
+      cellW:this.cellW, cellH:this.cellH, cellFp:this.cellFp, grid:this.grid };
+    const last = this.undoPlacements.length-1;
+    if (last >= 0 && JSON.stringify(this.undoPlacements[last]) === JSON.stringify(pl)) return last;
+    this.undoPlacements.push(pl);
+    return last+1;
+  }
+  _recordUndo(p, x, y, seen, pl){
+    const c = seen !== undefined ? seen : this.sampleBoardColor(x, y);
+    this.undoLog.push({ x:p.x, y:p.y, color: c ? this.rgbToHex(`rgb(${c.r},${c.g},${c.b})`) : null, pl });
+  }
+  // new/changed chunks of the undo log (plus its meta) for _write
+  _undoEntries(){
+    const log = this.undoLog, w = this._writtenUndo, n = log.length;
+    if (w && w.log === log && w.n === n) return [];
+    const from = (w && w.log === log) ? Math.floor(w.n/UNDO_CHUNK) : 0;
+    const out = [['undo', { version:1, placements:this.undoPlacements, count:n }, ()=>{ this._writtenUndo = { log, n }; }]];
+    for (let c=from; c*UNDO_CHUNK<n; c++) out.push([`undo:${c}`, encodeUndo(log.slice(c*UNDO_CHUNK, (c+1)*UNDO_CHUNK))]);
+    return out;
+  }
+  async _loadUndo(){
+    try{
+      const m = await this.store.get('undo');
+      if (!m || m.version !== 1 || !Array.isArray(m.placements) || !Number.isInteger(m.count) || m.count < 0) return;
+      const log = [];
+      for (let c=0; c*UNDO_CHUNK<m.count; c++) {
+        const buf = await this.store.get(`undo:${c}`);
+        if (!buf) throw new Error(`record undo:${c} is missing`);
+        for (const e of decodeUndo(buf)) log.push(e);
+      }
+      if (log.length !== m.count || log.some(e=>!m.placements[e.pl])) throw new Error('entries and placements don\'t match');
+      this.undoPlacements = m.placements;
+      this.undoLog = log;
+      this._writtenUndo = { log, n:log.length };
+    }catch(e){ this._warn('⚠️ Could not read the undo snapshot (ignored):', e?.message || e); }
+  }
+  // queue the original colors back: the last n recorded pixels, or (no n) everything drawn at the last position.
+  // Loads them as the live template at the position they were drawn; run start() to paint them.
+  undo(n, {force=false}={}){
+    if (this.isRunning) { this._warn('⚠️ Stop the bot before undo()'); return false; }
+    if (n != null && !(Number.isInteger(n) && n > 0)) { this._warn('undo(n): n must be a positive integer'); return false; }
+    const log = this.undoLog;
+    if (!log.length) { this._log('ℹ️ Nothing to undo'); return false; }
+    // the undo replaces the live template: a queued one is kept in the queue, anything else would be lost
+    if (!force && this.currentPixel < this.pixels.length && !this._activeProject()) {
+      this._warn(`⚠️ "${this.imageName}" is unfinished (${this.currentPixel}/${this.pixels.length} px) and not queued → addProject() it first, or undo(n, {force:true}) to drop it`);
+      return false;
+    }
+    const plIndex = log[log.length-1].pl, pl = this.undoPlacements[plIndex];
+    let from = log.length;
+    while (from > 0 && log[from-1].pl === plIndex && (n == null || log.length-from < n)) from--;
+    // newest first, so a cell drawn twice ends up with the color it had before the first time
+    const cells = new Map();
+    for (let i=log.length-1; i>=from; i--) { const e=log[i]; cells.set(`${e.x},${e.y}`, e); }
+    const restore = [...cells.values()].filter(e=>e.color).map(e=>({ x:e.x, y:e.y, color:e.color }));
+    const empty = cells.size - restore.length, rest = from;
+
+    const oldChunks = Math.ceil(log.length/UNDO_CHUNK);
+    this.undoLog = log.slice(0, from);
+    this._detachProject();
+    Object.assign(this, {
+      pixels:restore, currentPixel:0, imageName:`Undo "${pl.imageName}"`, undoOf:pl.imageName,
+      startX:pl.startX, startY:pl.startY, anchor:pl.anchor, cellW:pl.cellW, cellH:pl.cellH, cellFp:pl.cellFp ?? null, grid:pl.grid,
+      sections:[], activeSection:null, teamId:null,
+    });
+    if (this.grid) this.gridDirty = false; // re-checked against the zoom fingerprint by start()
+    this._log(`↩️ Undo "${pl.imageName}": ${restore.length} px queued with their original colors at the position they were drawn` +
+      (this.anchor ? ` (board ${this.anchor.x}, ${this.anchor.y})` : ` (start ${this.startX}, ${this.startY})`) + ' → wplaceBot.start()');
+    if (empty) this._log(`ℹ️ ${empty} cell(s) were empty before → they keep the drawn color`);
+    if (rest) this._log(`ℹ️ ${rest} older pixel(s) remain in the snapshot → undo() again afterwards`);
+    const stale = [];
+    for (let c=Math.ceil(this.undoLog.length/UNDO_CHUNK); c<oldChunks; c++) stale.push(`undo:${c}`);
+    this.saveState(stale);
+    this._renderPreview();
+    return true;
+  }
+  clearUndo(){
+    const keys = ['undo', ...Array.from({ length:Math.ceil(this.undoLog.length/UNDO_CHUNK) }, (_, c)=>`undo:${c}`)];
+    this.undoLog = []; this.undoPlacements = []; this._writtenUndo = null;
+    this._write([], keys);
+    this._log('🧹 Undo snapshot cleared');
+  }
+
+  // ===== PROJECT QUEUE =====
+  _findProject(ref){
+    return this.projects.find(p=>p.id===ref) || this.projects.find(p=>p.imageName===ref) || null;
   }
-  loadState(){
+  _activeProject(){ return this.activeProjectId==null ? null : (this.projects.find(p=>p.id===this.activeProjectId) || null); }
+  // copy the live template/progress/settings back into the active project
+  _syncActiveProject(){ const p=this._activeProject(); if (p) Object.assign(p, this._captureProject()); }
+  // the live template stops being a queued project (e.g. a new image is loaded)
+  _detachProject(){
+    if (!this._activeProject()) return;
+    this._syncActiveProject();
+    this.activeProjectId = null;
+    this.saveQueue();
+  }
+  _projectRef(ref){
+    const p=this._findProject(ref);
+    if (!p) this._warn('⚠️ No project', ref, '→ see wplaceBot.listProjects()');
+    return p;
+  }
+  _projectDone(p){ return p.currentPixel >= p.pixels.length; }
+
+  // add the loaded template (with its position, grid, palette & order settings) to the queue
+  addProject(name, {priority=0}={}){
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return null; }
+    const cur=this._activeProject();
+    if (cur) { this._log(`ℹ️ Loaded template is already project #${cur.id} "${cur.imageName}"`); return cur.id; }
+    if (name) this.imageName=String(name);
+    const id=this.projects.reduce((m,p)=>Math.max(m,p.id),0)+1;
+    this.projects.push({ id, priority:Number(priority)||0, paused:false, ...this._captureProject() });
+    this.activeProjectId=id;
+    this._log(`➕ Project #${id} "${this.imageName}" added (priority ${Number(priority)||0})`);
+    this.saveState();
+    // the session now points at the project's pixels record
+    this._write([], ['session:pixels']);
+    return id;
+  }
+  removeProject(ref){
+    const p=this._projectRef(ref); if(!p) return false;
+    if (p.id===this.activeProjectId && this.isRunning) { this._warn('⚠️ Stop the bot before removing the active project'); return false; }
+    this.projects=this.projects.filter(q=>q!==p);
+    if (p.id===this.activeProjectId) this.activeProjectId=null;
+    this._log(`➖ Project #${p.id} "${p.imageName}" removed`);
+    this.saveQueue();
+    this._write([], [this._pixelsKey(p.id)]);
+    return true;
+  }
+  moveProject(ref, index){
+    const p=this._projectRef(ref); if(!p) return false;
+    const i=Math.max(0, Math.min(this.projects.length-1, index|0));
+    this.projects=this.projects.filter(q=>q!==p);
+    this.projects.splice(i, 0, p);
+    this._log(`↕️ Project #${p.id} moved to position ${i+1}`);
+    this.saveQueue();
+    return true;
+  }
+  setProjectPriority(ref, priority){
+    const p=this._projectRef(ref); if(!p) return false;
+    if (!Number.isFinite(priority)) { this._warn('priority must be a number (higher first)'); return false; }
+    p.priority=priority;
+    this._log(`⭐ Project #${p.id} priority = ${priority}`);
+    this.saveQueue();
+    return true;
+  }
+  pauseProject(ref){
+    const p=this._projectRef(ref); if(!p) return false;
+    p.paused=true;
+    this._log(`⏸️ Project #${p.id} "${p.imageName}" paused`);
+    if (p.id===this.activeProjectId && this.isRunning) this.isRunning=false; // runQueue() moves on to the next one
+    this.saveQueue();
+    return true;
+  }
+  unpauseProject(ref){
+    const p=this._projectRef(ref); if(!p) return false;
+    p.paused=false;
+    this._log(`▶️ Project #${p.id} "${p.imageName}" unpaused`);
+    this.saveQueue();
+    return true;
+  }
+  // make a project the live one (template, position, grid, settings)
+  selectProject(ref){
+    const p=this._projectRef(ref); if(!p) return false;
+    if (this.isRunning) { this._warn('⚠️ Stop the bot before switching projects'); return false; }
+    this._syncActiveProject();
+    const {id, priority, paused, ...fields}=p;
+    Object.assign(this, fields);
+    this.activeProjectId=id;
+    this._pickedEntry=null;
+    this._log(`📂 Project #${id} "${p.imageName}" selected | remaining ${p.pixels.length-p.currentPixel} px`);
+    this.saveState();
+    this._renderPreview();
+    return true;
+  }
+  listProjects(){
+    const rows=this.projects.map(p=>({
+      id:p.id, name:p.imageName, priority:p.priority,
+      status: this._projectDone(p) ? 'done' : p.paused ? 'paused' : p.id===this.activeProjectId ? 'active' : 'queued',
+      progress:`${p.currentPixel}/${p.pixels.length}`
+    }));
+    if (rows.length) this._table(rows); else this._log('📋 Queue is empty. Load an image, then wplaceBot.addProject(name, {priority}).');
+    return rows;
+  }
+  // highest priority first; equal priorities keep queue order
+  _nextProject(){
+    let best=null;
+    for (const p of this.projects) {
+      if (p.paused || this._projectDone(p)) continue;
+      if (!best || p.priority>best.priority) best=p;
+    }
+    return best;
+  }
+  // draw projects one after another until the queue is done or the bot is stopped
+  async runQueue(){
+    if (this.isRunning || this._queueRunning) { this._log('⚠️ Bot already running'); return; }
+    this._queueRunning=true;
+    try{
+      for(;;){
+        const next=this._nextProject();
+        if (!next) { this._log('🏁 Queue finished (nothing left to draw).'); break; }
+        if (next.id!==this.activeProjectId) this.selectProject(next.id);
+        this._log(`📋 Queue → project #${next.id} "${next.imageName}"`);
+        await this.start();
+        this._syncActiveProject();
+        this.saveQueue();
+        if (this._projectDone(next) || next.paused) continue;
+        break; // stopped by the user or paused for a re-sync
+      }
+    } finally { this._queueRunning=false; }
+  }
+  clearQueue(){
+    if (this.isRunning) { this._warn('⚠️ Stop the bot before clearing the queue'); return; }
+    const keys=this.projects.map(p=>this._pixelsKey(p.id));
+    this.projects=[]; this.activeProjectId=null;
+    this.saveQueue();
+    this._write([], keys);
+    this._log('🧹 Queue cleared');
+  }
+  saveQueue(){
+    if (!this.projects.length) return this._write([], ['queue']);
+    return this._write(this._queueEntries(this.projects, this.activeProjectId));
+  }
+  async loadQueue(){
+    try{
+      const q=await this.store.get('queue'); if(!q || q.version!==2 || !Array.isArray(q.projects)) return false;
+      const projects=[];
+      for (const s of q.projects) {
+        // the active project's pixels were already decoded by loadState() (same record) → share the array
+        const shared = s.id===q.activeProjectId ? this._writtenPixels.get(s.pixelsKey) : null;
+        const buf = shared ? null : await this.store.get(s.pixelsKey);
+        const p=this._deserializeProject(s, shared || (buf ? decodePixels(buf) : null));
+        if (!p || !Number.isFinite(s.id)) { this._warn('⚠️ Skipping incomplete saved project', s?.imageName); continue; }
+        projects.push({ id:s.id, priority:Number(s.priority)||0, paused:!!s.paused, ...p });
+        this._writtenPixels.set(s.pixelsKey, p.pixels);
+      }
+      this.projects=projects;
+      this.activeProjectId=projects.some(p=>p.id===q.activeProjectId) ? q.activeProjectId : null;
+      this._log(`📋 Loaded queue: ${this.projects.length} project(s)`);
+      return true;
+    }catch(e){ this._warn('⚠️ loadQueue failed:', e); return false; }
+  }
+
+  // ===== PROJECT FILES (export / import) =====
+  // versioned, documented project file (see README "Project Files")
+  _projectFile(){
+    const template=encodeTemplate(this.pixels);
+    const done=new Uint8Array(template.width*template.height);
+    for (let i=0;i<this.currentPixel;i++){ const p=this.pixels[i]; done[p.y*template.width+p.x]=1; }
+    return {
+      format:PROJECT_FORMAT, version:1,
+      exportedAt:new Date().toISOString(), bot:this.version,
+      name:this.imageName,
+      anchor:this.anchor,
+      start:{ x:this.startX, y:this.startY },
+      cell:{ w:this.cellW, h:this.cellH },
+      palette:{ lockedColorMode:this.lockedColorMode, ditherMode:this.ditherMode, colorMetric:this.colorMetric },
+      order:{ strategy:this.drawOrder, seed:this.orderSeed },
+      template,
+      progress:{ placed:this.currentPixel, done:rleEncode(done) }
+    };
+  }
+  _fileBase(){ return (this.imageName || 'project').replace(/[^\w.-]+/g, '_'); }
+  _download(filename, data, type='application/octet-stream'){
+    const blob = data instanceof Blob ? data : new Blob([data], {type});
+    const url=URL.createObjectURL(blob);
+    const a=document.createElement('a');
+    a.href=url; a.download=filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  }
+  _pickFile(accept){
+    return new Promise((resolve)=>{
+      const input=document.createElement('input');
+      input.type='file'; input.accept=accept;
+      input.onchange=(e)=>resolve(e.target.files?.[0] || null);
+      input.click();
+    });
+  }
+  exportProject(filename){
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return null; }
+    try{
+      const f=this._projectFile();
+      this._download(filename || `${this._fileBase()}.wplace.json`, JSON.stringify(f), 'application/json');
+      this._log(`📤 Exported "${this.imageName}" (${this.pixels.length} px, ${f.template.colors.length} colors, ${this.currentPixel} placed)`);
+      return f;
+    }catch(e){ this._error('❌ Export failed:', e.message || e); return null; }
+  }
+  // quantized template as a PNG (1 px per cell) with the project file embedded as metadata
+  async exportTemplatePng(filename){
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return null; }
+    try{
+      const f=this._projectFile(), {width:w, height:h}=f.template;
+      const cvs=document.createElement('canvas');
+      cvs.width=Math.max(1,w); cvs.height=Math.max(1,h);
+      const ctx=cvs.getContext('2d'), img=ctx.createImageData(cvs.width, cvs.height);
+      for (const p of this.pixels){
+        const i=(p.y*cvs.width+p.x)*4, c=this.hexToRgb(p.color);
+        img.data[i]=c.r; img.data[i+1]=c.g; img.data[i+2]=c.b; img.data[i+3]=255;
+      }
+      ctx.putImageData(img, 0, 0);
+      const blob=await new Promise(r=>cvs.toBlob(r, 'image/png'));
+      // tEXt is Latin-1: escape everything else inside the JSON
+      const json=JSON.stringify(f).replace(/[\u007f-\uffff]/g, c=>'\\u'+c.charCodeAt(0).toString(16).padStart(4,'0'));
+      const png=pngWithText(new Uint8Array(await blob.arrayBuffer()), PNG_META_KEY, json);
+      const out=new Blob([png], {type:'image/png'});
+      this._download(filename || `${this._fileBase()}.wplace.png`, out);
+      this._log(`🖼️ Exported template PNG ${w}×${h} with embedded project data`);
+      return out;
+    }catch(e){ this._error('❌ PNG export failed:', e.message || e); return null; }
+  }
+  // source: File/Blob (.json or a PNG from exportTemplatePng), JSON text, a project object, or nothing → file picker
+  async importProject(source){
+    if (source===undefined) source=await this._pickFile('.json,.png,application/json,image/png');
+    if (!source) return false;
+    if (this.isRunning) { this._warn('⚠️ Stop the bot before importing'); return false; }
+    try{
+      let f=source;
+      if (typeof source==='string') f=JSON.parse(source);
+      else if (typeof Blob!=='undefined' && source instanceof Blob) {
+        const u8=new Uint8Array(await source.arrayBuffer());
+        if (isPng(u8)) {
+          const text=pngReadText(u8, PNG_META_KEY);
+          if (!text) throw new Error('this PNG has no embedded project (load it as an image with pickLocalImage())');
+          f=JSON.parse(text);
+        } else f=JSON.parse(new TextDecoder().decode(u8));
+      }
+      return this._applyProjectFile(f);
+    }catch(e){ this._error('❌ Import failed:', e.message || e); return false; }
+  }
+  // validates everything before touching the bot; throws with a readable message
+  _applyProjectFile(f){
+    if (!f || f.format!==PROJECT_FORMAT) throw new Error('not a WPlaceBot project file');
+    if (f.version!==1) throw new Error(`unsupported project version ${f.version}`);
+    const {pixels:raw, grid}=decodeTemplate(f.template);
+    const norm=this._normalizePixels(raw);
+    if (!norm) throw new Error('template contains invalid pixels');
+    if (!norm.length) throw new Error('template is empty');
+    const num=(v)=>typeof v==='number' && Number.isFinite(v);
+    if (f.anchor!=null && !(num(f.anchor.x) && num(f.anchor.y) && f.anchor.x>=0 && f.anchor.y>=0)) throw new Error('anchor invalid');
+    if (f.start!=null && !(num(f.start.x) && num(f.start.y))) throw new Error('start invalid');
+    for (const k of ['w','h']) if (f.cell?.[k]!=null && !(num(f.cell[k]) && f.cell[k]>0)) throw new Error('cell size invalid');
+    const pal=f.palette || {};
+    if (pal.lockedColorMode!=null && !['skip','map','manual'].includes(pal.lockedColorMode)) throw new Error('lockedColorMode invalid');
+    if (pal.ditherMode!=null && !['none','floyd-steinberg','atkinson','ordered'].includes(pal.ditherMode)) throw new Error('ditherMode invalid');
+    if (pal.colorMetric!=null && !['rgb','weighted','lab','ciede2000'].includes(pal.colorMetric)) throw new Error('colorMetric invalid');
+    if (f.order?.strategy!=null && !this.orderStrategies[f.order.strategy]) throw new Error('order strategy invalid');
+    if (f.order?.seed!=null && !num(f.order.seed)) throw new Error('order seed invalid');
+    let doneBits=null;
+    if (f.progress?.done!=null) {
+      doneBits=rleDecode(f.progress.done, grid.length, 1);
+      for (let i=0;i<grid.length;i++) if (doneBits[i]===1 && grid[i]<0) throw new Error('progress marks an empty cell as done');
+    }
+
+    this._detachProject();
+    this.imageName=typeof f.name==='string' && f.name ? f.name : 'Imported Project';
+    this.anchor=f.anchor ? { x:Math.floor(f.anchor.x), y:Math.floor(f.anchor.y) } : null;
+    if (f.start) { this.startX=f.start.x|0; this.startY=f.start.y|0; }
+    if (f.cell) { this.cellW=f.cell.w ?? null; this.cellH=f.cell.h ?? null; this.cellFp=null; }
+    this._dropGrid(); // a calibrated grid belongs to this screen and zoom, not to the file
+    if (pal.lockedColorMode) this.lockedColorMode=pal.lockedColorMode;
+    if (pal.ditherMode) this.ditherMode=pal.ditherMode;
+    if (pal.colorMetric) this.colorMetric=pal.colorMetric;
+    if (f.order?.strategy) this.drawOrder=f.order.strategy;
+    if (f.order?.seed!=null) this.orderSeed=f.order.seed>>>0;
+    if (this.drawOrder==='custom' && !this._orderComparator) this.drawOrder='row';
+    this.sections=[]; this.activeSection=null; // sections belong to the template they were drawn on
+    this.undoOf=null; this.teamId=null;
+
+    const done=[], todo=[];
+    for (const p of norm) ((doneBits && doneBits[p.y*f.template.width+p.x]) ? done : todo).push(p);
+    this.pixels=done.concat(this._orderPixels(todo, norm));
+    this.currentPixel=done.length;
+    this._log(`📥 Imported "${this.imageName}": ${norm.length} px, ${done.length} already placed${this.anchor ? ` | anchored to board (${this.anchor.x}, ${this.anchor.y})` : ''}`);
+    this.saveState();
+    this._renderPreview();
+    return true;
+  }
+
+  // ===== TEAM TEMPLATES =====
+  // share one template with a team: exportTeamCode() → members loadTeamCode(code), claimPartition(…), start(), exportProgress(me) → mergeProgress(reports)
+  async exportTeamCode(){
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return null; }
+    try{
+      const {code, id}=await encodeTeamCode({ name:this.imageName, anchor:this.anchor, template:encodeTemplate(this.pixels), sections:this.sections });
+      this.teamId=id;
+      let copied=false;
+      try{ if (typeof navigator!=='undefined' && navigator.clipboard?.writeText) { await navigator.clipboard.writeText(code); copied=true; } }catch{}
+      this._log(`👥 Team code for "${this.imageName}" (${code.length} chars, team ${id})${copied ? ', copied to the clipboard' : ''}:\n${code}`);
+      if (!this.anchor) this._warn('⚠️ No board anchor: each member has to place the template by hand. pickAnchor() before sharing.');
+      this.saveState();
+      return code;
+    }catch(e){ this._error('❌ Team code failed:', e.message || e); return null; }
+  }
+  // template, anchor and sections from a team code (progress starts at 0); then claimPartition(…)
+  async loadTeamCode(code){
+    if (this.isRunning) { this._warn('⚠️ Stop the bot before loading a team code'); return false; }
     try{
-      const raw=localStorage.getItem(this.stateKey); if(!raw) return false;
-      const s=JSON.parse(raw); if(!s || s.version!==1 || !Array.isArray(s.remaining)) return false;
-      this.imageName=s.imageName||'Custom Image';
-      this.startX=Number.isFinite(s.startX)?s.startX:this.startX;
-      this.startY=Number.isFinite(s.startY)?s.startY:this.startY;
-      this.delay =Number.isFinite(s.delay )?s.delay :this.delay;
-      this.cellW =Number.isFinite(s.cellW )?s.cellW :this.cellW;
-      this.cellH =Number.isFinite(s.cellH )?s.cellH :this.cellH;
-      this.pixels=s.remaining; this.currentPixel=0;
-      console.log(`🔄 Loaded saved session: ${this.imageName} | remaining ${this.pixels.length} px`);
+      const t=await decodeTeamCode(code);
+      const norm=this._normalizePixels(decodeTemplate(t.template).pixels);
+      if (!norm) throw new Error('template contains invalid pixels');
+      if (!norm.length) throw new Error('template is empty');
+      const bad=t.sections.find(sec=>!this._validSection(sec));
+      if (bad) throw new Error(`section "${bad.name}" is invalid`);
+
+      this._detachProject();
+      this.imageName=t.name || 'Team Template';
+      this.anchor=t.anchor;
+      this.sections=t.sections; this.activeSection=null;
+      this.undoOf=null; this.teamId=t.id;
+      this.pixels=this._orderPixels(norm);
+      this.currentPixel=0;
+      this._partitionSection();
+      this._log(`👥 Team template "${this.imageName}" (team ${t.id}): ${norm.length} px` +
+        (this.anchor ? ` | anchored to board (${this.anchor.x}, ${this.anchor.y})` : ' | no anchor: set your start position') +
+        (t.sections.length ? ` | sections: ${t.sections.map(sec=>sec.name).join(', ')}` : ''));
+      this._log('👉 Claim your share: claimPartition({slice:1, of:4}), ({section:name}) or ({color:\'#rrggbb\'|palette name})');
+      this.saveState();
+      this._renderPreview();
       return true;
-    }catch(e){ console.warn('⚠️ loadState failed:', e); return false; }
+    }catch(e){ this._error('❌ Team code rejected:', e.message || e); return false; }
+  }
+  _teamColor(c){
+    const name=String(c).trim().toLowerCase(), e=WPLACE_PALETTE.find(x=>x.name.toLowerCase()===name);
+    if (e) return { hex:this.rgbToHex(`rgb(${e.rgb.r},${e.rgb.g},${e.rgb.b})`), label:e.name };
+    if (/^#[0-9a-f]{6}$/i.test(name)) return { hex:name, label:name };
+    const rgb=/^rgb\s*\(/.test(name) ? this.rgbStringToObject(name) : null;
+    return rgb ? { hex:this.rgbToHex(`rgb(${rgb.r},${rgb.g},${rgb.b})`), label:name } : null;
+  }
+  // draw a disjoint share: {slice:k, of:n} (every n-th template pixel in row order, k = 1…n), {section:name} or {color}.
+  // Slices and colors become mask sections named "slice k/n" / "color …" and are selected.
+  claimPartition(spec={}){
+    if (!this.pixels.length) { this._warn('⚠️ Load the team template first'); return false; }
+    if (this.isRunning) { this._warn('⚠️ Stop the bot first'); return false; }
+    if (spec.section!=null) return this.selectSection(spec.section);
+    const {w, h}=this._templateSize(), bits=new Uint8Array(w*h);
+    let name, n=0;
+    if (spec.slice!=null || spec.of!=null) {
+      const {slice:k, of:m}=spec;
+      if (!Number.isInteger(m) || m<1 || !Number.isInteger(k) || k<1 || k>m) { this._warn('⚠️ claimPartition({slice:k, of:n}) needs integers 1 ≤ k ≤ n'); return false; }
+      // rank in row order, not the draw order: every member gets the same slices whatever their settings
+      [...this.pixels].sort(byRow).forEach((p,i)=>{ if (i%m===k-1) { bits[p.y*w+p.x]=1; n++; } });
+      name=`slice ${k}/${m}`;
+    } else if (spec.color!=null) {
+      const c=this._teamColor(spec.color);
+      if (!c) { this._warn('⚠️ Unknown color', spec.color, '(use #rrggbb, rgb(r,g,b) or a palette name)'); return false; }
+      for (const p of this.pixels) if (p.color===c.hex) { bits[p.y*w+p.x]=1; n++; }
+      if (!n) { this._warn(`⚠️ The template has no ${c.label} pixels. See coverageReport()`); return false; }
+      name=`color ${c.label}`;
+    } else { this._warn('⚠️ claimPartition({slice:k, of:n} | {section:name} | {color})'); return false; }
+    if (!this._putSection({ name, type:'mask', w, h, rle:rleEncode(bits) })) return false;
+    this._log(`👥 Claimed "${name}": ${n} px`);
+    return this.selectSection(name);
+  }
+  // what this member placed in the active section (or the whole template) → report for the coordinator's mergeProgress()
+  exportProgress(member='', {download=true}={}){
+    if (!this.pixels.length) { this._log('⚠️ Load an image first'); return null; }
+    const sec=this._section(this.activeSection), {w, h}=this._templateSize(), done=new Uint8Array(w*h);
+    let total=0, placed=0;
+    this.pixels.forEach((p,i)=>{
+      if (sec && !this._inSection(sec, p)) return;
+      total++;
+      if (i<this.currentPixel) { placed++; done[p.y*w+p.x]=1; }
+    });
+    const r={
+      format:PROGRESS_FORMAT, version:1,
+      exportedAt:new Date().toISOString(), bot:this.version,
+      team:this.teamId, name:this.imageName, member:String(member), partition:this.activeSection,
+      width:w, height:h, total, placed, done:rleEncode(done)
+    };
+    if (!this.teamId) this._warn('⚠️ This template is not from a team code: only a coordinator with the same template (no team id) can merge it');
+    if (download) this._download(`${this._fileBase()}${member ? '.'+String(member).replace(/[^\w.-]+/g, '_') : ''}.progress.json`, JSON.stringify(r), 'application/json');
+    this._log(`📤 Progress of ${sec ? `"${sec.name}"` : 'the whole template'}: ${placed}/${total} px`);
+    return r;
+  }
+  // coordinator: reports (objects, JSON text or Files) → team status; apply → their placed pixels count as done here too
+  async mergeProgress(reports, {apply=false, print=true}={}){
+    if (!this.pixels.length) { this._log('⚠️ Load the team template first'); return null; }
+    if (apply && this.isRunning) { this._warn('⚠️ Stop the bot first'); return null; }
+    const {w, h}=this._templateSize(), cells=new Uint8Array(w*h), union=new Uint8Array(w*h), rows=[];
+    for (const p of this.pixels) cells[p.y*w+p.x]=1;
+    for (const src of [].concat(reports ?? [])) {
+      try{
+        let r=src;
+        if (typeof src==='string') r=JSON.parse(src);
+        else if (typeof Blob!=='undefined' && src instanceof Blob) r=JSON.parse(await src.text());
+        if (!r || r.format!==PROGRESS_FORMAT) throw new Error('not a progress report');
+        if (r.version!==1) throw new Error(`unsupported report version ${r.version}`);
+        if ((r.team ?? null)!==this.teamId) throw new Error(`made for team ${r.team || '(none)'}, this template is ${this.teamId || '(none)'}`);
+        if (r.width!==w || r.height!==h) throw new Error(`grid ${r.width}×${r.height} does not match ${w}×${h}`);
+        const bits=rleDecode(r.done, w*h, 1);
+        let placed=0;
+        for (let i=0;i<bits.length;i++) if (bits[i]) {
+          if (!cells[i]) throw new Error('marks an empty cell as done');
+          union[i]=1; placed++;
+        }
+        const total=Number.isInteger(r.total) && r.total>=placed ? r.total : placed;
+        rows.push({ member:String(r.member || '?'), partition:r.partition ?? '(whole)', placed, total, percent:total ? +(placed/total*100).toFixed(1) : 100, exportedAt:r.exportedAt ?? '' });
+      }catch(e){ this._warn('⚠️ Skipped a progress report:', e?.message || e); }
+    }
+    let done=0;
+    this.pixels.forEach((p,i)=>{ if (i<this.currentPixel || union[p.y*w+p.x]) done++; });
+    const status={ team:this.teamId, name:this.imageName, total:this.pixels.length, done, percent:+(done/this.pixels.length*100).toFixed(1), members:rows };
+    if (print) {
+      this._table(rows.map(r=>({ ...r, percent:r.percent+'%' })));
+      this._log(`👥 "${this.imageName}": ${done}/${status.total} px (${status.percent}%) from ${rows.length} report(s)`);
+    }
+    if (apply) {
+      const placed=[], todo=[];
+      this.pixels.forEach((p,i)=>((i<this.currentPixel || union[p.y*w+p.x]) ? placed : todo).push(p));
+      this.pixels=placed.concat(todo);
+      this.currentPixel=placed.length;
+      this._partitionSection();
+      this._log(`👥 Merged: ${this.currentPixel} px marked as placed, ${todo.length} to go`);
+      this.saveState();
+      this._renderPreview();
+    }
+    return status;
+  }
+
+  // ===== CONTROL PANEL =====
+  // every control calls the same public method you would type in the console
+  showPanel(){
+    if (this._panel) { this._panel.root.style.display=''; return; }
+    const h=(tag, props={}, ...kids)=>{
+      const e=document.createElement(tag);
+      for (const [k,v] of Object.entries(props)) {
+        if (k==='style') e.style.cssText=v;
+        else if (k.startsWith('on')) e.addEventListener(k.slice(2), v);
+        else e[k]=v;
+      }
+      e.append(...kids);
+      return e;
+    };
+    const run=(fn)=>{ try{ const r=fn(); if (r && r.catch) r.catch(e=>this._error('❌', e)); }catch(e){ this._error('❌', e); } };
+    const btn=(label, fn, title='')=>h('button', { textContent:label, title, onclick:()=>run(fn) });
+    const num=(value, width=52)=>h('input', { type:'number', value, style:`width:${width}px` });
+    const row=(...kids)=>h('div', { className:'wpb-row' }, ...kids);
+    const label=(text)=>h('span', { className:'wpb-label', textContent:text });
+    const section=(title, ...rows)=>h('div', { className:'wpb-sec' }, h('div', { className:'wpb-title', textContent:title }), ...rows);
+    const syncers=[];
+    // inputs/selects follow the bot's state unless the user is editing them
+    const follow=(el, get)=>{ syncers.push(()=>{ if (document.activeElement!==el) el.value=String(get()); }); return el; };
+    // options: a list, or a function for lists that change (rebuilt by the syncer, before the value is set)
+    const select=(options, get, set)=>{
+      const list=typeof options==='function' ? options : ()=>options;
+      const s=h('select', { onchange:()=>run(()=>set(s.value)) });
+      let shown=null;
+      syncers.push(()=>{
+        const o=list(), key=o.join('\n');
+        if (key===shown || document.activeElement===s) return;
+        s.replaceChildren(...o.map(v=>h('option', { value:v, textContent:v })));
+        shown=key;
+      });
+      return follow(s, get);
+    };
+
+    const style=h('style', { textContent:`
+#wplace-bot-panel{position:fixed;top:80px;right:16px;width:310px;z-index:2147483647;background:#1f1f27;color:#eee;font:12px/1.4 system-ui,sans-serif;border-radius:8px;box-shadow:0 6px 20px rgba(0,0,0,.45)}
+#wplace-bot-panel .wpb-head{display:flex;align-items:center;gap:6px;padding:6px 8px;background:#2c2c38;border-radius:8px 8px 0 0;cursor:move;user-select:none}
+#wplace-bot-panel .wpb-head b{flex:1;overflow:hidden;white-space:nowrap;text-overflow:ellipsis}
+#wplace-bot-panel .wpb-body{padding:6px 8px;max-height:70vh;overflow:auto}
+#wplace-bot-panel .wpb-sec{margin-bottom:8px}
+#wplace-bot-panel .wpb-title{font-weight:600;color:#9ab;margin:2px 0}
+#wplace-bot-panel .wpb-row{display:flex;flex-wrap:wrap;align-items:center;gap:4px;margin:3px 0}
+#wplace-bot-panel .wpb-label{min-width:52px;color:#bbb}
+#wplace-bot-panel button{background:#3a3a4a;color:#eee;border:1px solid #555;border-radius:4px;padding:2px 7px;cursor:pointer;font:inherit}
+#wplace-bot-panel button:hover{background:#4a4a5e}
+#wplace-bot-panel input,#wplace-bot-panel select{background:#15151b;color:#eee;border:1px solid #555;border-radius:4px;padding:1px 4px;font:inherit}
+#wplace-bot-panel .wpb-bar{height:8px;background:#15151b;border-radius:4px;overflow:hidden}
+#wplace-bot-panel .wpb-fill{height:100%;width:0;background:#4caf50;transition:width .3s}
+#wplace-bot-panel .wpb-log{height:120px;overflow:auto;background:#15151b;border-radius:4px;padding:4px;font:11px/1.35 ui-monospace,monospace;white-space:pre-wrap;user-select:text}
+#wplace-bot-panel .wpb-warn{color:#ffcc66}
+#wplace-bot-panel .wpb-error{color:#ff7777}
+#wplace-bot-panel .wpb-table{white-space:pre;overflow-x:auto}` });
+
+    const maxW=num(50), maxH=num(50);
+    const url=h('input', { type:'text', placeholder:'https://…/image.png', style:'flex:1;min-width:0' });
+    const text=h('input', { type:'text', placeholder:'Banner text', style:'flex:1;min-width:0' });
+    const teamCode=h('input', { type:'text', placeholder:'WPT1.… team code', style:'flex:1;min-width:0' });
+    const textColor=h('input', { type:'color', value:'#000000', title:'text color' });
+    const posX=follow(num(this.startX, 60), ()=>this.startX), posY=follow(num(this.startY, 60), ()=>this.startY);
+    const delay=follow(num(this.delay, 60), ()=>this.delay);
+    const gridDx=h('input', { type:'number', placeholder:'dx', title:'cells right of the top-left cell (empty → read from the site)', style:'width:52px' });
+    const gridDy=h('input', { type:'number', placeholder:'dy', title:'cells down', style:'width:52px' });
+    const fill=h('div', { className:'wpb-fill' }), status=h('div');
+    const log=h('div', { className:'wpb-log' });
+    const title=h('b');
+    const body=h('div', { className:'wpb-body' },
+      section('Image',
+        row(label('Max'), maxW, h('span', { textContent:'×' }), maxH),
+        row(label('Resample'), select(['nearest','area','pixelart'], ()=>this.preprocess.resample, v=>this.setPreprocess({ resample:v }))),
+        row(btn('📁 File…', ()=>this.pickLocalImage(+maxW.value||50, +maxH.value||50)),
+            btn('📋 Clipboard', ()=>this.pasteImageFromClipboard(+maxW.value||50, +maxH.value||50)),
+            btn('📥 Project…', ()=>this.importProject()),
+            btn('📤 Export', ()=>this.exportProject())),
+        row(url, btn('Load URL', ()=>url.value.trim() && this.loadImageFromUrl(url.value.trim(), +maxW.value||50, +maxH.value||50))),
+        row(text, textColor, btn('🔤 Text', ()=>text.value && this.loadText(text.value, { color:textColor.value }))),
+        row(teamCode, btn('👥 Load', ()=>teamCode.value.trim() && this.loadTeamCode(teamCode.value), 'Load a team code, then claimPartition(…) in the console'),
+            btn('👥 Share', async ()=>{ const c=await this.exportTeamCode(); if (c) teamCode.value=c; }, 'Team code of the loaded template'))),
+      section('Position',
+        row(label('Start'), posX, posY, btn('Set', ()=>this.setStartPosition(+posX.value, +posY.value))),
+        row(btn('📌 Pick anchor', ()=>this.pickAnchor()), btn('🧭 Sync view', ()=>this.syncView()), btn('Clear anchor', ()=>this.clearAnchor())),
+        row(btn('📏 Calibrate X', ()=>this.calibrate()), btn('📏 Calibrate Y', ()=>this.calibrateY()), btn('👁️ Preview', ()=>this.togglePreview())),
+        row(label('Grid'), gridDx, gridDy, btn('📐 Calibrate grid', ()=>this.calibrateGrid(+gridDx.value||undefined, +gridDy.value||undefined)))),
+      section('Palette & order',
+        row(label('Locked'), select(['map','skip','manual'], ()=>this.lockedColorMode, v=>this.setLockedColorMode(v)),
+            btn('🔄 Palette', ()=>this.refreshPalette()), btn('📊 Coverage', ()=>this.coverageReport()), btn('🗂️ Sections', ()=>this.sectionReport())),
+        row(label('Dither'), select(['none','floyd-steinberg','atkinson','ordered'], ()=>this.ditherMode, v=>this.setDitherMode(v))),
+        row(label('Metric'), select(['rgb','weighted','lab','ciede2000'], ()=>this.colorMetric, v=>this.setColorMetric(v))),
+        row(label('Order'), select(()=>[...new Set([...Object.keys(this.orderStrategies), this.drawOrder])], ()=>this.drawOrder, v=>this.setDrawOrder(v)))),
+      section('Run',
+        row(label('Delay'), delay, btn('Set', ()=>this.setDelay(+delay.value))),
+        row(btn('▶️ Start', ()=>this.start()), btn('⏹️ Stop', ()=>this.stop()), btn('⏯️ Resume', ()=>this.resume()), btn('📈 Stats', ()=>this.statsReport())),
+        row(btn('↩️ Undo last position', ()=>this.undo(), 'Queue the original colors of the last drawn area (then Start)'), btn('Clear undo', ()=>this.clearUndo())),
+        row(label('Auto'), select(['off','on'], ()=>this.autoResume ? 'on' : 'off', v=>this.setAutoResume(v==='on')), btn('🔓 Release tab', ()=>this.releaseTab())),
+        h('div', { className:'wpb-bar' }, fill), status),
+      section('Log', log));
+    const collapse=btn('–', ()=>{ const hide=body.style.display!=='none'; body.style.display=hide?'none':''; collapse.textContent=hide?'+':'–'; }, 'Collapse');
+    const head=h('div', { className:'wpb-head' }, title, collapse, btn('×', ()=>this.hidePanel(), 'Close (wplaceBot.showPanel() brings it back)'));
+    const root=h('div', { id:'wplace-bot-panel' }, style, head, body);
+    document.body.appendChild(root);
+
+    // drag by the header
+    head.addEventListener('pointerdown', (ev)=>{
+      if (ev.target.closest('button')) return;
+      const r=root.getBoundingClientRect(), dx=ev.clientX-r.left, dy=ev.clientY-r.top;
+      const move=(e)=>{
+        root.style.left=Math.max(0, Math.min(window.innerWidth-40, e.clientX-dx))+'px';
+        root.style.top=Math.max(0, Math.min(window.innerHeight-20, e.clientY-dy))+'px';
+        root.style.right='auto';
+      };
+      const up=()=>{ window.removeEventListener('pointermove', move); window.removeEventListener('pointerup', up); };
+      window.addEventListener('pointermove', move);
+      window.addEventListener('pointerup', up);
+      ev.preventDefault();
+    });
+
+    const onLog=(level, args)=>{
+      const text=level==='table' ? tableText(args[0]) : args.map(a=>typeof a==='string' ? a : (a instanceof Error ? a.message : (()=>{ try{ return JSON.stringify(a); }catch{ return String(a); } })())).join(' ');
+      log.append(h('div', { className: level==='log' ? '' : 'wpb-'+level, textContent:`${new Date().toLocaleTimeString()} ${text}` }));
+      while (log.childNodes.length>200) log.firstChild.remove();
+      log.scrollTop=log.scrollHeight;
+    };
+    const offLog=this.on('log', ({level, args})=>onLog(level, args));
+
+    const refresh=()=>{
+      const total=this.pixels.length, done=Math.min(this.currentPixel, total);
+      title.textContent=`🎨 WPlaceBot v${this.version} — ${total ? this.imageName : 'no image'}`;
+      fill.style.width = total ? (done/total*100).toFixed(1)+'%' : '0%';
+      let text = total ? `${done} / ${total} px (${(done/total*100).toFixed(1)}%) · ${this.isRunning ? 'running' : 'idle'}` : 'Load an image to start';
+      const rate = this.isRunning && this.pixelsPerMinute();
+      if (rate) text += ` · ${rate.toFixed(1)} px/min`;
+      if (total && done<total) text += ` · ETA ${this._fmtDuration(this._etaMs())}`;
+      if (this.nextResumeAt) text += ` · charges back ~${new Date(this.nextResumeAt).toLocaleTimeString()}`;
+      if (this.lockOwner && !this._releaseLock) text += ` · 🔒 tab ${this.lockOwner.tabId} draws`;
+      if (this.fault && !this.isRunning) text += ` · ⚠️ ${this.fault.code}`;
+      status.textContent=text;
+      for (const f of syncers) f();
+    };
+    refresh();
+    const timer=setInterval(refresh, 500);
+    this._panel={ root, destroy:()=>{ clearInterval(timer); offLog(); root.remove(); } };
+  }
+  hidePanel(){
+    if (!this._panel) return;
+    this._panel.destroy();
+    this._panel=null;
+  }
+  togglePanel(){ this._panel ? this.hidePanel() : this.showPanel(); }
+  _fmtDuration(ms){
+    const s=Math.round(ms/1000);
+    if (s<60) return s+'s';
+    const m=Math.floor(s/60);
+    if (m<60) return `${m}m ${s%60}s`;
+    return `${Math.floor(m/60)}h ${m%60}m`;
+  }
+
+  // ===== GENERATED TEMPLATES =====
+  // layers = pixel arrays from wplaceBot.gen.* (text, rect, border, line, circle, polygon); later layers on top unless win:'bottom'
+  loadLayers(layers, {win='top'}={}, name='Generated'){
+    let px;
+    try{ px=composeLayers(layers, {win}); }catch(e){ this._error('❌ Generator:', e.message); return false; }
+    if (!px.length) { this._warn('⚠️ Nothing to draw'); return false; }
+    let minX=Infinity, minY=Infinity; for (const p of px){ if (p.x<minX) minX=p.x; if (p.y<minY) minY=p.y; }
+    if (minX<0 || minY<0) { // templates start at (0,0)
+      const dx=Math.max(0,-minX), dy=Math.max(0,-minY);
+      px=px.map(p=>({ x:p.x+dx, y:p.y+dy, color:p.color }));
+      this._log(`↘️ Shifted by (${dx}, ${dy}) so nothing is left of/above the origin`);
+    }
+    return this.loadImageFromData(px, name);
+  }
+  // text in a bitmap font ('3x5' | '5x7'), optionally on a filled background box
+  loadText(text, {background=null, padding=1, ...opts}={}, name){
+    let layers;
+    try{
+      const ink=textPixels(text, opts);
+      layers=[ink];
+      if (background && ink.length) {
+        let w=0, h=0; for (const p of ink){ if (p.x+1>w) w=p.x+1; if (p.y+1>h) h=p.y+1; }
+        const x=opts.x||0, y=opts.y||0;
+        layers.unshift(rectPixels(x-padding, y-padding, w-x+2*padding, h-y+2*padding, background));
+      }
+    }catch(e){ this._error('❌ Text:', e.message); return false; }
+    return this.loadLayers(layers, {}, name || `Text "${String(text).slice(0,20)}"`);
   }
-  clearState(){ try{ localStorage.removeItem(this.stateKey); }catch{} }
 
   // ===== HELP & EXTRAS =====
   test5x5(){
     const data=[]; for(let y=0;y<5;y++) for(let x=0;x<5;x++) data.push({x,y,color:'#000000'});
     this.loadImageFromData(data,'Test 5×5');
-    console.log('👉 Set start position and run: wplaceBot.start()');
+    this._log('👉 Set start position and run: wplaceBot.start()');
   }
 
   printHelp(){
-    console.log(`
+    this._log(`
 📚 WPlaceBot Commands
 ---------------------
 wplaceBot.setStartPosition(x, y)             // top-left of your image (screen space)
 wplaceBot.setDelay(ms)                        // e.g. 300..1000
+wplaceBot.setChargeAware(true|false)          // wait for charges instead of clicking uselessly
+wplaceBot.setResumeCharges(n)                 // after running out, wait for n charges
 wplaceBot.setManualColorMode(true|false)      // manual = bot won't change color
 wplaceBot.setLockedColorMode('skip'|'map'|'manual')
+wplaceBot.setDitherMode('none'|'floyd-steinberg'|'atkinson'|'ordered')  // used when loading images
+wplaceBot.setColorMetric('rgb'|'weighted'|'lab'|'ciede2000')            // palette matching
+wplaceBot.setDrawOrder('row'|'color'|'outline'|'spiral'|'random'|fn)    // fn = (a,b)=>number
 
 wplaceBot.setCellSize(w, h)                   // set grid cell size (screen px)
 wplaceBot.calibrate()                         // click TWO adjacent cells horizontally
 wplaceBot.calibrateY()                        // click TWO adjacent cells vertically
+wplaceBot.pickAnchor()                        // click a board pixel → template top-left (board coords)
+wplaceBot.setAnchor(x, y)                     // same, by board coordinates
+wplaceBot.syncView(x?, y?)                    // after pan/zoom: click a board pixel to re-sync
+wplaceBot.clearAnchor()                       // back to screen mode (setStartPosition)
+wplaceBot.showPreview() / hidePreview() / togglePreview()  // overlay the template on the board
+wplaceBot.setPreviewOpacity(0..1)             // arrow keys nudge the origin while shown
 
 wplaceBot.loadImageFromData(data, name)       // data = [{x,y,color:"#RRGGBB"}, ...]
 wplaceBot.loadImageFromUrl(url, maxW, maxH, name)           // may need CORS/proxy
@@ -534,13 +3536,50 @@ wplaceBot.pasteImageFromClipboard(maxW, maxH, name) // paste image (if supported
 // Optional proxy if you have one:
 // wplaceBot.proxyUrl = (u)=> 'https://YOUR-PROXY?url='+encodeURIComponent(u)
 
+wplaceBot.addProject(name, {priority})        // queue the loaded template with its settings
+wplaceBot.listProjects() / selectProject(id)  // show queue / make a project the live one
+wplaceBot.setProjectPriority(id, n) / moveProject(id, index)
+wplaceBot.pauseProject(id) / unpauseProject(id) / removeProject(id) / clearQueue()
+wplaceBot.runQueue()                          // draw highest priority first, move on when done
+
+wplaceBot.exportProject()                     // download a .wplace.json project file
+wplaceBot.exportTemplatePng()                 // quantized template PNG with the project embedded
+wplaceBot.importProject(file?)                // .json / .png file (no arg → file picker)
+wplaceBot.exportTeamCode() / loadTeamCode(code)  // share template + anchor + sections as a WPT1.… text code
+wplaceBot.claimPartition({slice:k, of:n} | {section:name} | {color})   // draw only your disjoint share
+wplaceBot.exportProgress(member) / mergeProgress(reports, {apply})     // per-member report → coordinator's team status
+
+wplaceBot.showPanel() / hidePanel()           // on-page control panel (shown on start)
+wplaceBot.on(event, fn) / off(event, fn)      // start, pixel, colorChange, skip, save, paused, finished, error, log
+wplaceBot.use(plugin)                         // hooks before/after each pixel, extra orders, custom color matcher
 wplaceBot.refreshPalette()                    // re-scan palette after opening the picker
+wplaceBot.setPreprocess({crop, width, height, scale, resample, brightness, contrast, saturation, gamma, alphaThreshold, chromaKey, chromaTolerance})
+wplaceBot.resetPreprocess()                   // image loads: crop/size/resampling/adjustments/transparency
+wplaceBot.addSection(name, {x,y,w,h}) / splitSections(cols, rows) / addMaskSection(name, mask)
+wplaceBot.selectSection(name|null) / redoSection(name) / sectionReport()   // draw one section at a time
+wplaceBot.loadText(text, {font:'3x5'|'5x7', size, color, outline, outlineColor, spacing, align, background, padding})
+wplaceBot.loadLayers([layer, …], {win:'top'|'bottom'}, name)  // layer = wplaceBot.gen.rect/border/line/circle/polygon/text(…)
+wplaceBot.calibrateGrid(dx, dy, {skew})        // sub-pixel grid: click the top-left cell, then the cell dx right/dy down
+wplaceBot.clearGridCalibration()
+wplaceBot.setAutoResume(true|false)           // resume a saved session by itself after pasting/reload
+wplaceBot.releaseTab()                        // let another tab draw (one drawing tab at a time)
+wplaceBot.watchdog = {…}                      // page checks & recovery: enabled, checkClicks, maxMisses, retries, backoffMs
+wplaceBot.fault                               // why the watchdog gave up (null when fine)
+wplaceBot.undo(n?, {force})                   // queue the original colors back (last n px, or the last drawn area); then start()
+wplaceBot.clearUndo()                         // forget the undo snapshot
+wplaceBot.statsReport()                       // placed/skipped/remapped, px/min, ETA, per-color totals
+wplaceBot.listHistory() / exportHistory('csv'|'json') / clearHistory()   // past sessions
+wplaceBot.coverageReport()                    // pixels per palette color, locked colors and what happens to them
+wplaceBot.setDiffMode(true|false)             // read the board, skip pixels that are already correct
+wplaceBot.verify()                            // scan: only wrong pixels stay in the work list
+wplaceBot.startMaintain(sec) / stopMaintain() // rescan a finished project and repair damage
 wplaceBot.start()
 wplaceBot.stop()
 wplaceBot.resume()
 wplaceBot.clearState()
+wplaceBot.storageReport()                     // what is saved and how much space it takes
 
-💾 localStorage key: ${this.stateKey}
+💾 Saved in ${this.store.name} (database "WPLACE_BOT")
 
 Quick test:
 wplaceBot.setStartPosition(120, 300);
@@ -551,11 +3590,12 @@ wplaceBot.start();
 // For contiguous pixels: calibrate grid first
 wplaceBot.calibrate();  // then click 2 adjacent cells (horizontal)
 wplaceBot.calibrateY(); // (optional) 2 adjacent (vertical)
+wplaceBot.showPreview(); // check alignment before drawing
 `);
   }
 
   printDonation(){
-    console.log(`
+    this._log(`
 💖 LIKE THIS BOT?
 Donate: https://paypal.me/wibuwonderland
 Donors can request a "Pro" build (multi-section queues, QoL upgrades) and help support ongoing improvements. Thank you!
@@ -563,6 +3603,11 @@ Donors can request a "Pro" build (multi-section queues, QoL upgrades) and help s
   }
 }
 
-// Expose globally
-window.wplaceBot = new WPlaceBot();
-window.wplaceBot.init();
+// Expose globally (in the page) / as a module (node, tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WPlaceBot, PageAdapter, TabLock, IdbStore, LocalStore, tableText, ORDER_STRATEGIES, WPLACE_PALETTE, PREPROCESS_DEFAULTS, cropRgba, chromaKeyRgba, resizeRgba, adjustRgba, encodePixels, decodePixels, rleEncode, rleDecode, encodeTemplate, decodeTemplate, encodeTeamCode, decodeTeamCode, PIXEL_FONTS, textPixels, rectPixels, borderPixels, linePixels, circlePixels, polygonPixels, composeLayers };
+}
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  window.wplaceBot = new WPlaceBot();
+  window.wplaceBot.init();
+}
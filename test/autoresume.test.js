@@ -0,0 +1,167 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, FakePage, FakeCanvas, MemoryStore, FakeTabs } = require('./helpers/fake-page');
+
+const fast = (bot) => { bot.sleep = () => new Promise(r => setImmediate(r)); return bot; };
+const row = (n) => Array.from({ length: n }, (_, x) => ({ x, y: 0, color: '#000000' }));
+
+test('auto-resume is opt-in and waits for the canvas and palette', async () => {
+  const store = new MemoryStore();
+  const { bot: first } = makeBot({ store });
+  first.loadImageFromData(row(6));
+  first.currentPixel = 2;
+  await first.saveState();
+
+  const { bot: off } = makeBot({ store });
+  fast(off);
+  await off.init();
+  assert.equal(off.isRunning, false);
+  assert.ok(off.logs.some(l => l.text.includes('wplaceBot.resume()')));
+  await off.setAutoResume(true);
+
+  const page = new FakePage({ canvas: null });
+  const { bot } = makeBot({ page, store });
+  fast(bot);
+  const finished = new Promise(r => bot.once('finished', r));
+  await bot.init();
+  assert.equal(bot.autoResume, true);
+  for (let i = 0; i < 5; i++) await new Promise(r => setImmediate(r));
+  assert.equal(page.clicks.length, 0, 'no canvas yet');
+  page.canvas = new FakeCanvas();
+  await finished;
+  assert.equal(page.clicks.length, 4, 'continues after the saved progress');
+});
+
+test('a second tab refuses to draw and names the tab that does', async () => {
+  const tabs = new FakeTabs(), store = new MemoryStore();
+  const { bot: a, page: pageA } = makeBot({ store, tabLock: tabs.tab() });
+  const { bot: b, page: pageB } = makeBot({ store, tabLock: tabs.tab() });
+  fast(a); fast(b);
+  a._watchTabs(); b._watchTabs();
+  for (const bot of [a, b]) { bot.findCanvas(); bot.findColorPalette(); bot.loadImageFromData(row(3), 'Banner'); }
+  await a.start();
+  assert.equal(pageA.clicks.length, 3);
+
+  await b.start();
+  assert.equal(pageB.clicks.length, 0);
+  assert.ok(b.logs.some(l => l.level === 'warn' && /Tab tab1 \("Banner", 3\/3\) is drawing/.test(l.text)), b.logs.map(l => l.text).join('\n'));
+
+  assert.equal(a.releaseTab(), true);
+  b.currentPixel = 0;
+  await b.start();
+  assert.equal(pageB.clicks.length, 3);
+});
+
+test('a waiting tab takes over with the latest progress when the owner closes', async () => {
+  const tabs = new FakeTabs(), store = new MemoryStore();
+  const { bot: a } = makeBot({ store, tabLock: tabs.tab() });
+  fast(a);
+  a.findCanvas(); a.findColorPalette();
+  a.loadImageFromData(row(10), 'Wall');
+  a.on('pixel', e => { if (e.index === 3) a.stop(); });
+  await a.start();
+  await a.saveState();
+  assert.equal(a.currentPixel, 4);
+
+  const { bot: b, page: pageB } = makeBot({ store, tabLock: tabs.tab() });
+  fast(b);
+  await b.loadState();
+  const resumed = b._autoResume();
+  for (let i = 0; i < 10; i++) await new Promise(r => setImmediate(r));
+  assert.equal(pageB.clicks.length, 0, 'waits while the first tab is open');
+  assert.ok(b.logs.some(l => /takes over when it closes/.test(l.text)));
+
+  a.tabLock.close();
+  assert.equal(await resumed, true);
+  assert.equal(pageB.clicks.length, 6);
+  assert.equal(b.currentPixel, 10);
+});
+
+test('a tab without the drawing lock cannot overwrite the owner’s saved progress', async () => {
+  const tabs = new FakeTabs(), store = new MemoryStore();
+  const { bot: a } = makeBot({ store, tabLock: tabs.tab() });
+  fast(a);
+  a.findCanvas(); a.findColorPalette();
+  a.loadImageFromData(row(10), 'Wall');
+  await a._saveChain;
+
+  const { bot: b } = makeBot({ store, tabLock: tabs.tab() });
+  fast(b);
+  await b.loadState();
+  assert.equal(b.currentPixel, 0);
+
+  a.on('pixel', e => { if (e.index === 5) a.stop(); });
+  await a.start();
+  await a.saveState();
+  assert.equal((await store.get('session')).currentPixel, 6);
+
+  b.setDelay(700);
+  b.clearState();
+  assert.equal(await b._saveChain, false);
+  assert.equal((await store.get('session')).currentPixel, 6, 'the stale tab did not write');
+  assert.ok(b.logs.some(l => l.level === 'warn' && /Not saved: .* is drawing this session/.test(l.text)));
+
+  a.releaseTab();
+  b.setDelay(800);
+  assert.equal(await b._saveChain, true, 'nobody draws → any tab may save');
+  assert.equal((await store.get('session')).delay, 800);
+});
+
+test('undo in a tab without the lock leaves the owner’s undo snapshot intact', async () => {
+  const tabs = new FakeTabs(), store = new MemoryStore();
+  const { bot: a } = makeBot({ store, tabLock: tabs.tab() });
+  a.undoPlacements = [{ imageName: 'Big', projectId: null, startX: 0, startY: 0, anchor: null, cellW: 10, cellH: 10, grid: null }];
+  a.undoLog = Array.from({ length: 4100 }, (_, i) => ({ x: i % 100, y: Math.floor(i / 100), color: '#ffffff', pl: 0 }));
+  assert.equal(await a._claimTab(), true);
+  assert.equal(await a.saveState(), true);
+  assert.ok(await store.get('undo:1'));
+
+  const { bot: b } = makeBot({ store, tabLock: tabs.tab() });
+  fast(b);
+  await b.init();
+  assert.equal(b.undoLog.length, 4100);
+  assert.equal(b.undo(10, { force: true }), true);
+  assert.equal(await b._saveChain, false);
+  assert.ok(await store.get('undo:1'), 'the chunk the owner still needs is kept');
+
+  const { bot: c } = makeBot({ store, tabLock: tabs.tab() });
+  await c.init();
+  assert.equal(c.undoLog.length, 4100);
+  assert.ok(!c.logs.some(l => /Could not read the undo snapshot/.test(l.text)));
+});
+
+test('an auto-resume that gives up hands the drawing lock on', async () => {
+  const tabs = new FakeTabs(), store = new MemoryStore();
+  const { bot: a } = makeBot({ store, tabLock: tabs.tab() });
+  fast(a);
+  a.findCanvas(); a.findColorPalette();
+  a.loadImageFromData(row(4), 'Gone');
+  assert.equal(await a._claimTab(), true);
+  await a.saveState();
+
+  const { bot: b } = makeBot({ store, tabLock: tabs.tab() });
+  fast(b);
+  await b.loadState();
+  const resumed = b._autoResume();
+  for (let i = 0; i < 10; i++) await new Promise(r => setImmediate(r));
+  await a.start(); // finishes and clears the session
+  await a._saveChain;
+  a.tabLock.close();
+  assert.equal(await resumed, false);
+  assert.ok(b.logs.some(l => /no saved session left/.test(l.text)));
+  assert.equal(b._releaseLock, null);
+
+  a.loadImageFromData(row(4), 'Again');
+  await a.saveState();
+  const { bot: c } = makeBot({ store, page: new FakePage({ canvas: null }), tabLock: tabs.tab() });
+  fast(c);
+  c.autoResumeTimeoutMs = 0;
+  await c.loadState();
+  assert.equal(await c._autoResume(), false);
+  assert.ok(c.logs.some(l => /canvas or palette not found/.test(l.text)));
+  assert.equal(c._releaseLock, null);
+
+  const { bot: d } = makeBot({ store, tabLock: tabs.tab() });
+  assert.equal(await d._claimTab(), true, 'the lock is free again');
+});
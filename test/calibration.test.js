@@ -0,0 +1,109 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, FakePage, FakeCanvas, MemoryStore } = require('./helpers/fake-page');
+
+const tick = () => new Promise(r => setImmediate(r));
+
+test('two far-apart cells give a sub-pixel scale that stays aligned across the template', async () => {
+  const { bot, page } = makeBot({ canvas: new FakeCanvas(2000, 2000) });
+  bot.findCanvas();
+  const done = bot.calibrateGrid(200, 100);
+  // true cell size 7.35 × 7.35 px, template top-left cell centered at (53.675, 23.675)
+  page.userClick(53.675, 23.675); await tick();
+  page.userClick(53.675 + 200 * 7.35, 23.675 + 100 * 7.35);
+  assert.equal(await done, true);
+  assert.ok(Math.abs(bot._cellSize().W - 7.35) < 1e-9);
+  // an integer cell size would be off by 0.35 px per cell → 70 px at x=200
+  assert.deepEqual(bot.pixelToScreen({ x: 150, y: 80 }), { x: Math.round(50 + 150.5 * 7.35), y: Math.round(20 + 80.5 * 7.35) });
+  assert.equal(page.listeners.get('click').size, 0);
+});
+
+test('skew calibration solves a full affine grid', async () => {
+  const { bot, page } = makeBot({ canvas: new FakeCanvas(2000, 2000) });
+  bot.findCanvas();
+  const g = { a: 8, b: 0.4, c: -0.2, d: 8.1 };
+  const at = (u, v) => ({ x: 100 + g.a * (u + 0.5) + g.b * (v + 0.5), y: 60 + g.c * (u + 0.5) + g.d * (v + 0.5) });
+  const done = bot.calibrateGrid(100, 80, { skew: true });
+  for (const [u, v] of [[0, 0], [100, 80], [100, 0]]) { const p = at(u, v); page.userClick(p.x, p.y); await tick(); }
+  assert.equal(await done, true);
+  for (const k of 'abcd') assert.ok(Math.abs(bot.grid[k] - g[k]) < 1e-9, k);
+  const p = at(37, 55);
+  assert.deepEqual(bot.pixelToScreen({ x: 37, y: 55 }), { x: Math.round(p.x), y: Math.round(p.y) });
+});
+
+test('refuses to draw after the zoom changed until recalibrated', async () => {
+  const { bot, page } = makeBot();
+  bot.findCanvas(); bot.findColorPalette();
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }, { x: 5, y: 5, color: '#000000' }]);
+  const done = bot.calibrateGrid(10, 10);
+  page.userClick(2, 2); await tick(); page.userClick(42, 42);
+  assert.equal(await done, true);
+
+  page.zoom = 13;
+  await bot.start();
+  assert.equal(page.clicks.length, 0);
+  assert.equal(bot.gridDirty, true);
+
+  page.zoom = 12; // zooming back does not help: the view may have moved meanwhile
+  await bot.start();
+  assert.equal(page.clicks.length, 0);
+
+  const again = bot.calibrateGrid(10, 10);
+  page.userClick(2, 2); await tick(); page.userClick(42, 42);
+  await again;
+  await bot.start();
+  assert.deepEqual(page.clicks.map(c => [c.x, c.y]), [[2, 2], [22, 22]]);
+});
+
+test('a wheel zoom on the board pauses a running draw', async () => {
+  const { bot, page } = makeBot();
+  bot.findCanvas(); bot.findColorPalette();
+  bot.loadImageFromData(Array.from({ length: 20 }, (_, i) => ({ x: i, y: 0, color: '#000000' })));
+  const done = bot.calibrateGrid(10, 10);
+  page.userClick(2, 2); await tick(); page.userClick(42, 42);
+  await done;
+  const paused = [];
+  bot.on('paused', e => paused.push(e.reason));
+  bot.on('pixel', e => { if (e.index === 2) page.dispatch('wheel'); });
+  await bot.start();
+  assert.deepEqual(paused, ['zoom']);
+  assert.equal(bot.currentPixel, 3);
+});
+
+test('without offsets the board coordinates shown by the site are used', async () => {
+  const page = new FakePage({ canvas: new FakeCanvas(800, 800) });
+  const { bot } = makeBot({ page });
+  bot.sleep = () => Promise.resolve();
+  bot.findCanvas();
+  bot.setAnchor(1000, 1000);
+  const done = bot.calibrateGrid();
+  page.coords = { x: 1000, y: 1000 }; page.userClick(10, 10);
+  await tick(); await tick();
+  page.coords = { x: 1060, y: 1040 }; page.userClick(10 + 60 * 9.5, 10 + 40 * 9.5);
+  assert.equal(await done, true);
+  assert.ok(Math.abs(bot.grid.a - 9.5) < 1e-9 && Math.abs(bot.grid.d - 9.5) < 1e-9);
+  assert.deepEqual(bot.pixelToScreen({ x: 20, y: 0 }), { x: 200, y: 10 });
+  assert.deepEqual(bot.screenToBoard(200, 10), { x: 1020, y: 1000 });
+});
+
+test('the grid is saved with the project and dropped by setCellSize', async () => {
+  const store = new MemoryStore();
+  const { bot, page } = makeBot({ store });
+  bot.findCanvas();
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }]);
+  const done = bot.calibrateGrid(10, 10);
+  page.userClick(5, 5); await tick(); page.userClick(80, 80);
+  await done;
+  await bot.saveState();
+
+  const { bot: other } = makeBot({ page, store });
+  other.findCanvas();
+  assert.equal(await other.loadState(), true);
+  assert.equal(other.grid.a, 7.5);
+  assert.equal(other._gridStale(), false);
+
+  other.setCellSize(8, 8);
+  assert.equal(other.grid, null);
+  assert.deepEqual(other._cellSize(), { W: 8, H: 8 });
+});
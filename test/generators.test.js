@@ -0,0 +1,64 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textPixels, rectPixels, borderPixels, linePixels, circlePixels, polygonPixels, composeLayers } = require('../kurowplace.js');
+const { makeBot } = require('./helpers/fake-page');
+
+// pixels → rows of '#' (first color) / 'o' (any other) / '.' (empty)
+const ascii = (px) => {
+  let w = 0, h = 0; for (const p of px) { w = Math.max(w, p.x + 1); h = Math.max(h, p.y + 1); }
+  const g = Array.from({ length: h }, () => Array(w).fill('.'));
+  for (const p of px) g[p.y][p.x] = p.color === px[px.length - 1].color ? '#' : 'o';
+  return g.map(r => r.join(''));
+};
+
+test('text renders glyphs with spacing, size and outline', () => {
+  assert.deepEqual(ascii(textPixels('Hi', { font: '3x5' })), [
+    '#.#.###', '#.#..#.', '###..#.', '#.#..#.', '#.#.###',
+  ]);
+  const big = textPixels('I', { font: '3x5', size: 2 });
+  assert.equal(big.length, 9 * 4);
+  const outlined = textPixels('.', { font: '3x5', outline: 1, outlineColor: '#ffffff', color: '#ff0000' });
+  assert.deepEqual(ascii(outlined), ['....', '....', '....', '....', '.ooo', '.o#o', '.ooo']);
+  assert.equal(new Set(outlined.map(p => `${p.x},${p.y}`)).size, outlined.length);
+});
+
+test('multi-line text can be centered; unknown characters draw as "?"', () => {
+  const px = textPixels('W\nI.', { font: '3x5', align: 'center', spacing: 0, lineSpacing: 1 });
+  assert.equal(Math.min(...px.filter(p => p.y < 5).map(p => p.x)), 1);
+  assert.equal(Math.min(...px.filter(p => p.y > 5).map(p => p.x)), 0);
+  assert.deepEqual(textPixels('é', { font: '3x5' }), textPixels('?', { font: '3x5' }));
+  assert.throws(() => textPixels('x', { font: 'huge' }), /unknown font/);
+});
+
+test('shapes: rect, border, line, circle, polygon', () => {
+  assert.equal(rectPixels(2, 3, 4, 5).length, 20);
+  assert.deepEqual(ascii(borderPixels(0, 0, 4, 3)), ['####', '#..#', '####']);
+  assert.deepEqual(ascii(linePixels(0, 0, 4, 2)), ['#....', '.##..', '...##']);
+  assert.deepEqual(ascii(circlePixels(2, 2, 2)), ['.###.', '#####', '#####', '#####', '.###.']);
+  assert.deepEqual(ascii(circlePixels(2, 2, 2, '#000000', { thickness: 1 })), ['.###.', '#...#', '#...#', '#...#', '.###.']);
+  // concave: the notch between the two arms stays empty
+  assert.deepEqual(ascii(polygonPixels([[0, 0], [6, 0], [6, 6], [3, 3], [0, 6]])), [
+    '#######', '#######', '#######', '#######', '###.###', '##...##', '#.....#',
+  ]);
+  assert.throws(() => rectPixels(0, 0, 0, 3), /w must be/);
+});
+
+test('layers: top or bottom wins, with offsets', () => {
+  const bg = rectPixels(0, 0, 3, 1, '#ffffff'), fg = { pixels: [{ x: 0, y: 0, color: '#000000' }], dx: 1 };
+  assert.deepEqual(composeLayers([bg, fg]).map(p => p.color), ['#ffffff', '#000000', '#ffffff']);
+  assert.deepEqual(composeLayers([bg, fg], { win: 'bottom' }).map(p => p.color), ['#ffffff', '#ffffff', '#ffffff']);
+});
+
+test('loadText / loadLayers load a template at the origin', () => {
+  const { bot } = makeBot();
+  assert.equal(bot.loadText('OK', { font: '3x5', background: '#ffffff', padding: 1 }), true);
+  const xs = bot.pixels.map(p => p.x), ys = bot.pixels.map(p => p.y);
+  assert.deepEqual([Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)], [0, 8, 0, 6]);
+  assert.equal(bot.pixels.filter(p => p.color === '#000000').length, textPixels('OK', { font: '3x5' }).length);
+
+  assert.equal(bot.loadLayers([bot.gen.circle(0, 0, 3, '#ff0000')], {}, 'Dot'), true);
+  assert.equal(Math.min(...bot.pixels.map(p => p.x)), 0);
+  assert.equal(bot.imageName, 'Dot');
+  assert.equal(bot.loadLayers([[{ x: 0, y: 0, color: 'red' }]]), false);
+});
@@ -0,0 +1,98 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, FakePage, FakeCanvas } = require('./helpers/fake-page');
+
+test('screen mode clicks the center of each cell', async () => {
+  const { bot, page } = makeBot();
+  bot.findColorPalette();
+  bot.setStartPosition(100, 50);
+  bot.setCellSize(8, 6);
+  assert.deepEqual(bot.pixelToScreen({ x: 2, y: 3 }), { x: 100 + 16 + 4, y: 50 + 18 + 3 });
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }, { x: 1, y: 1, color: '#000000' }]);
+  bot.findCanvas();
+  await bot.start();
+  assert.deepEqual(page.clicks.map(c => [c.x, c.y]), [[104, 53], [112, 59]]);
+});
+
+test('cell height defaults to the width and an uncalibrated cell is 1 px', () => {
+  const { bot } = makeBot();
+  assert.deepEqual(bot._cellSize(), { W: 1, H: 1 });
+  bot.cellW = 12;
+  assert.deepEqual(bot._cellSize(), { W: 12, H: 12 });
+});
+
+test('calibrate / calibrateY measure two user clicks', () => {
+  const { bot, page } = makeBot();
+  bot.calibrate();
+  page.userClick(10, 10); page.userClick(24.4, 11);
+  bot.calibrateY();
+  page.userClick(10, 10); page.userClick(10, 23);
+  assert.equal(bot.cellW, 14);
+  assert.equal(bot.cellH, 13);
+  assert.equal(page.listeners.get('click').size, 0);
+});
+
+test('board ↔ screen mapping round-trips around the synced view', () => {
+  const { bot } = makeBot();
+  bot.cellW = 10; bot.cellH = 10;
+  bot.view = { bx: 1000, by: 2000, cx: 300, cy: 200 };
+  assert.deepEqual(bot.boardToScreen(1003, 1998), { x: 330, y: 180 });
+  assert.deepEqual(bot.screenToBoard(333, 176), { x: 1003, y: 1998 });
+});
+
+test('anchored drawing follows the synced view and pauses when the canvas moves', async () => {
+  const canvas = new FakeCanvas(400, 400, { left: 20, top: 30 });
+  const page = new FakePage({ canvas, coords: { x: 500, y: 600 } });
+  const { bot } = makeBot({ page });
+  bot.findCanvas(); bot.findColorPalette();
+  bot.setCellSize(10, 10);
+  bot.setAnchor(502, 601);
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#ffffff' }, { x: 1, y: 0, color: '#ffffff' }]);
+  await bot.start();
+  assert.equal(page.clicks.length, 0, 'refuses to draw before syncView');
+
+  const synced = bot.syncView(500, 600);
+  page.userClick(100, 100);
+  assert.equal(await synced, true);
+  assert.deepEqual(bot.pixelToScreen({ x: 0, y: 0 }), { x: 120, y: 110 });
+
+  const paused = [];
+  bot.on('paused', e => paused.push(e.reason));
+  bot.on('pixel', () => { canvas.rect.left += 5; });
+  await bot.start();
+  assert.deepEqual(page.clicks.map(c => [c.x, c.y]), [[120, 110]]);
+  assert.deepEqual(paused, ['view']);
+  assert.equal(bot.currentPixel, 1);
+  bot._unwatchView();
+});
+
+test('after a zoom, anchored drawing waits for the cell size to be measured again', async () => {
+  const page = new FakePage({ coords: { x: 500, y: 600 } });
+  const { bot } = makeBot({ page });
+  bot.findCanvas(); bot.findColorPalette();
+  bot.setCellSize(10, 10);
+  bot.setAnchor(500, 600);
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#ffffff' }, { x: 1, y: 0, color: '#ffffff' }]);
+  let synced = bot.syncView(500, 600);
+  page.userClick(100, 100);
+  await synced;
+
+  page.dispatch('wheel');
+  synced = bot.syncView(500, 600);
+  page.userClick(50, 50);
+  assert.equal(await synced, true);
+  assert.ok(bot.logs.some(l => l.level === 'warn' && /measure it again/.test(l.text)));
+  await bot.start();
+  assert.equal(page.clicks.length, 0, 'syncView alone does not fix the scale');
+
+  bot.setCellSize(5, 5);
+  await bot.start();
+  assert.deepEqual(page.clicks.map(c => [c.x, c.y]), [[50, 50], [55, 50]]);
+
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }]);
+  page.zoom = 13; // the map zoom in the URL changed without a wheel event on the canvas
+  await bot.start();
+  assert.equal(page.clicks.length, 2);
+  bot._unwatchView();
+});
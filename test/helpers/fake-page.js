@@ -0,0 +1,140 @@
+'use strict';
+// Headless stand-ins for the live page and the store (see PageAdapter / IdbStore in kurowplace.js).
+const { WPlaceBot, tableText } = require('../../kurowplace.js');
+
+const rgb = (s) => { const [r, g, b] = s.match(/\d+/g).map(Number); return { r, g, b }; };
+
+class FakeCanvas {
+  constructor(width = 200, height = 200, rect = {}) {
+    this.width = width;
+    this.height = height;
+    this.rect = { left: 0, top: 0, width, height, ...rect };
+  }
+  getBoundingClientRect() { return { ...this.rect }; }
+}
+
+// A board that records clicks and paints them with the selected swatch. Locked swatches ignore clicks, like the site.
+class FakePage {
+  constructor({ swatches = [{ color: 'rgb(0, 0, 0)' }, { color: 'rgb(255, 255, 255)' }], canvas = new FakeCanvas(), coords = null, charges = null } = {}) {
+    this.canvas = canvas;
+    this.swatches = swatches.map(({ color, locked = false }) => ({ element: { color, locked, clicks: 0 }, color, locked }));
+    this.selected = null;       // 'rgb(…)' of the swatch in use
+    this.clicks = [];           // [{x, y, color}] canvas-relative
+    this.painted = new Map();   // 'x,y' → {r,g,b}
+    this.listeners = new Map(); // type → Set
+    this.coords = coords;
+    this.charges = charges;
+    this.zoom = 12;             // map zoom level from the URL
+    this.pickerOpen = true;     // closed → swatches are hidden and not found
+    this.ignoreClicks = false;  // true → clicks are recorded but paint nothing (e.g. an overlay swallows them)
+    this.lostClicks = 0;        // clicks on a canvas that is no longer on the page
+  }
+  findCanvas() { return this.canvas ? { el: this.canvas, selector: 'fake' } : null; }
+  findSwatches() { return this.pickerOpen ? this.swatches.map(s => ({ ...s })) : []; }
+  clickSwatch(el) { el.clicks++; if (!el.locked && this.isLive(el)) this.selected = el.color; }
+  clickAt(canvas, x, y) {
+    if (!this.isLive(canvas)) { this.lostClicks++; return; } // dispatched into a detached/hidden node
+    this.clicks.push({ x, y, color: this.selected });
+    if (this.selected && !this.ignoreClicks) this.painted.set(`${Math.floor(x)},${Math.floor(y)}`, rgb(this.selected));
+  }
+  isLive(el) {
+    if (!el || el.detached) return false;
+    return el === this.canvas || this.pickerOpen;
+  }
+  openPicker() { this.pickerOpen = true; return true; }
+  // the site re-renders: new canvas and swatch nodes, the old ones are detached
+  rerender() {
+    if (this.canvas) this.canvas.detached = true;
+    for (const s of this.swatches) s.element.detached = true;
+    this.canvas = new FakeCanvas(this.canvas?.width, this.canvas?.height, this.canvas?.rect);
+    this.swatches = this.swatches.map(({ color, locked }) => ({ element: { color, locked, clicks: 0 }, color, locked }));
+  }
+  listen(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+    return () => this.listeners.get(type).delete(fn);
+  }
+  dispatch(type, props = {}) {
+    const ev = { type, isTrusted: true, target: this.canvas, preventDefault() {}, stopPropagation() {}, ...props };
+    for (const fn of [...(this.listeners.get(type) || [])]) fn(ev);
+  }
+  // a real user click at a canvas-relative point
+  userClick(x, y) {
+    const r = this.canvas.getBoundingClientRect();
+    this.dispatch('click', { clientX: r.left + x, clientY: r.top + y });
+  }
+  readBoardCoords() { return this.coords; }
+  readCharges() { return this.charges; }
+  readZoom() { return { zoom: this.zoom, dpr: 1 }; }
+  sampleColor(canvas, x, y) { return this.painted.get(`${Math.floor(x)},${Math.floor(y)}`) || null; }
+  snapshot(canvas) {
+    const w = canvas.width, h = canvas.height, data = new Uint8ClampedArray(w * h * 4);
+    for (const [k, c] of this.painted) {
+      const [x, y] = k.split(',').map(Number);
+      if (x < 0 || y < 0 || x >= w || y >= h) continue;
+      data.set([c.r, c.g, c.b, 255], (y * w + x) * 4);
+    }
+    return { data, w, h, sx: 1, sy: 1 };
+  }
+}
+
+// The IdbStore interface in memory; values are copied like IndexedDB's structured clone.
+class MemoryStore {
+  constructor() { this.name = 'memory'; this.data = new Map(); }
+  async open() {}
+  async get(key) { const v = this.data.get(key); return v === undefined ? undefined : structuredClone(v); }
+  async keys() { return [...this.data.keys()]; }
+  async setMany(entries) { for (const [k, v] of entries) this.data.set(k, structuredClone(v)); }
+  async delete(...keys) { for (const k of keys) this.data.delete(k); }
+}
+
+// The TabLock interface for several "tabs" in one process: share a hub between bots to simulate tabs of one browser.
+class FakeTabs {
+  constructor() { this.locks = new Map(); this.listeners = new Set(); this.n = 0; }
+  tab() { return new FakeTabLock(this); }
+}
+class FakeTabLock {
+  constructor(hub = new FakeTabs()) { this.hub = hub; this.tabId = `tab${++hub.n}`; this.available = true; this.held = new Set(); this.offs = []; }
+  acquire(name, { ifAvailable = false } = {}) {
+    const lock = this.hub.locks.get(name) || { holder: null, waiting: [] };
+    this.hub.locks.set(name, lock);
+    return new Promise((resolve) => {
+      const grant = () => {
+        lock.holder = this; this.held.add(name);
+        resolve(() => { if (lock.holder !== this) return; lock.holder = null; this.held.delete(name); lock.waiting.shift()?.(); });
+      };
+      if (!lock.holder) grant();
+      else if (ifAvailable) resolve(null);
+      else lock.waiting.push(grant);
+    });
+  }
+  post(msg) {
+    const data = structuredClone({ ...msg, tabId: this.tabId });
+    for (const l of [...this.hub.listeners]) if (l.tab !== this) queueMicrotask(() => l.fn(data));
+  }
+  listen(fn) {
+    const l = { tab: this, fn };
+    this.hub.listeners.add(l);
+    const off = () => this.hub.listeners.delete(l);
+    this.offs.push(off);
+    return off;
+  }
+  // the tab goes away: the browser frees its locks
+  close() {
+    this.offs.forEach(f => f());
+    for (const name of [...this.held]) { const lock = this.hub.locks.get(name); lock.holder = null; this.held.delete(name); lock.waiting.shift()?.(); }
+  }
+}
+
+// a quiet bot on a fake page: messages land in bot.logs instead of the console
+function makeBot({ page = new FakePage(), store = new MemoryStore(), tabLock = new FakeTabLock(), ...pageOpts } = {}) {
+  if (Object.keys(pageOpts).length) page = new FakePage(pageOpts);
+  const bot = new WPlaceBot({ page, store, tabLock });
+  bot.logs = [];
+  bot._out = (level, args) => { bot.logs.push({ level, text: level === 'table' ? tableText(args[0]) : args.join(' ') }); bot.emit('log', { level, args }); };
+  bot.delay = 0;
+  bot.showPanelOnInit = false;
+  return { bot, page, store };
+}
+
+module.exports = { FakeCanvas, FakePage, MemoryStore, FakeTabs, FakeTabLock, makeBot, rgb };
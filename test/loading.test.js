@@ -0,0 +1,41 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot } = require('./helpers/fake-page');
+
+test('loadImageFromData normalizes colors and floors coordinates', () => {
+  const { bot } = makeBot();
+  assert.equal(bot.loadImageFromData([{ x: 1.7, y: 0.2, color: '#AABBCC' }, { x: 0, y: 0, color: 'rgb(1, 2, 3)' }]), true);
+  assert.deepEqual(bot.pixels, [{ x: 0, y: 0, color: '#010203' }, { x: 1, y: 0, color: '#aabbcc' }]);
+  assert.equal(bot.currentPixel, 0);
+});
+
+test('later duplicates win and pixels are drawn row by row', () => {
+  const { bot } = makeBot();
+  bot.loadImageFromData([
+    { x: 2, y: 1, color: '#000000' },
+    { x: 0, y: 1, color: '#000000' },
+    { x: 1, y: 0, color: '#000000' },
+    { x: 0, y: 1, color: '#ffffff' },
+  ]);
+  assert.deepEqual(bot.pixels.map(p => `${p.x},${p.y},${p.color}`), ['1,0,#000000', '0,1,#ffffff', '2,1,#000000']);
+});
+
+test('invalid pixel data is rejected and the template is unchanged', () => {
+  const { bot } = makeBot();
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }]);
+  for (const bad of ['nope', [{ x: 0, y: 0 }], [{ x: -1, y: 0, color: '#000000' }], [{ x: 0, y: 0, color: 'red' }], [{ x: 0, y: 0, color: 'rgb(300, 0, 0)' }]]) {
+    assert.equal(bot.loadImageFromData(bad), false, JSON.stringify(bad));
+  }
+  assert.equal(bot.pixels.length, 1);
+  assert.ok(bot.logs.some(l => l.level === 'error'));
+});
+
+test('setDrawOrder reorders only the pixels not drawn yet', () => {
+  const { bot } = makeBot();
+  bot.loadImageFromData([0, 1, 2, 3].map(x => ({ x, y: 0, color: x % 2 ? '#ffffff' : '#000000' })));
+  bot.currentPixel = 1;
+  bot.setDrawOrder('color');
+  assert.deepEqual(bot.pixels[0], { x: 0, y: 0, color: '#000000' });
+  assert.deepEqual(bot.pixels.slice(1).map(p => p.color), ['#ffffff', '#ffffff', '#000000']); // biggest group first
+});
@@ -0,0 +1,121 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot } = require('./helpers/fake-page');
+
+const swatches = [
+  { color: 'rgb(0, 0, 0)' },                   // Black
+  { color: 'rgb(255, 255, 255)' },             // White
+  { color: 'rgb(165, 14, 30)', locked: true }, // Dark Red (premium)
+  { color: 'rgb(237, 28, 36)' },               // Red
+];
+const setup = () => { const r = makeBot({ swatches }); r.bot.findCanvas(); r.bot.findColorPalette(); return r; };
+
+test('findColorPalette reads swatches and lock state through the page adapter', () => {
+  const { bot } = setup();
+  assert.equal(bot.colorPalette.length, 4);
+  assert.deepEqual(bot.colorPalette.map(e => e.locked), [false, false, true, false]);
+});
+
+test('swatches are matched to the built-in wplace palette by exact color', () => {
+  const { bot } = makeBot({ swatches: [...swatches, { color: 'rgb(12, 34, 56)' }] });
+  bot.findColorPalette();
+  assert.deepEqual(bot.colorPalette.map(e => [e.id, e.name, e.premium]), [[1, 'Black', false], [5, 'White', false], [33, 'Dark Red', true], [7, 'Red', false]]);
+  assert.ok(bot.logs.some(l => /1 colored button\(s\) not in the wplace palette/.test(l.text)));
+  assert.equal(bot.catalogColor('#ED1C24').name, 'Red');
+  assert.equal(bot.catalogColor('rgb(1, 2, 3)'), null);
+});
+
+test('an unknown palette is used as is', () => {
+  const { bot } = makeBot({ swatches: [{ color: 'rgb(1, 2, 3)' }, { color: 'rgb(4, 5, 6)' }] });
+  bot.findColorPalette();
+  assert.equal(bot.colorPalette.length, 2);
+  assert.ok(bot.logs.some(l => l.level === 'warn' && /No swatch matches/.test(l.text)));
+});
+
+test('coverage report counts pixels per color and explains locked ones', () => {
+  const { bot } = setup();
+  bot.loadImageFromData([
+    { x: 0, y: 0, color: '#000000' }, { x: 1, y: 0, color: '#000000' },
+    { x: 2, y: 0, color: '#a50e1e' }, { x: 3, y: 0, color: '#ffffff' },
+  ]);
+  bot.setLockedColorMode('map');
+  let r = bot.coverageReport({ print: false });
+  assert.equal(r.pending, 4);
+  assert.equal(r.lockedPixels, 1);
+  assert.deepEqual(r.colors.map(c => [c.color, c.pixels, c.tier, c.action]), [['Black', 2, 'free', 'draw'], ['Dark Red', 1, 'premium', '→ Red'], ['White', 1, 'free', 'draw']]);
+  bot.setLockedColorMode('skip');
+  assert.equal(bot.coverageReport({ print: false }).colors[1].action, 'skip');
+  bot.currentPixel = 3;
+  assert.deepEqual(bot.coverageReport({ print: false }).colors.map(c => c.color), ['White']);
+});
+
+test('report tables go out through the log event, not straight to the console', () => {
+  const { bot } = setup();
+  const seen = [];
+  bot.on('log', ({ level, args }) => { if (level === 'table') seen.push(args[0]); });
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }, { x: 1, y: 0, color: '#ffffff' }]);
+  bot.coverageReport();
+  assert.deepEqual(seen[0].map(r => r.color), ['Black', 'White']);
+  assert.match(bot.logs.at(-1).text, /^color +.*\nBlack /);
+});
+
+test('coverage falls back to the built-in palette with premium colors assumed locked', () => {
+  const { bot } = makeBot({ swatches: [] });
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#a50e1e' }, { x: 1, y: 0, color: '#ed1c24' }]);
+  const r = bot.coverageReport({ print: false });
+  assert.equal(r.paletteDetected, false);
+  assert.deepEqual(r.colors.map(c => [c.color, c.locked]), [['Dark Red', true], ['Red', false]]);
+});
+
+test('unlocked nearest color is clicked once while it stays selected', () => {
+  const { bot, page } = setup();
+  assert.equal(bot.selectColorSmart('#050505'), true);
+  assert.equal(bot.selectColorSmart('#000000'), 'SAME');
+  assert.equal(page.swatches[0].element.clicks, 1);
+  assert.equal(page.selected, 'rgb(0, 0, 0)');
+});
+
+test("locked mode 'map' picks the nearest unlocked color", () => {
+  const { bot, page } = setup();
+  bot.setLockedColorMode('map');
+  assert.equal(bot.selectColorSmart('#a00e1e'), true);
+  assert.equal(page.selected, 'rgb(237, 28, 36)');
+  assert.equal(page.swatches[2].element.clicks, 0);
+});
+
+test("locked mode 'skip' skips the pixel without clicking", () => {
+  const { bot, page } = setup();
+  bot.setLockedColorMode('skip');
+  assert.equal(bot.selectColorSmart('#a00e1e'), 'SKIP');
+  assert.equal(page.selected, null);
+});
+
+test("locked mode 'manual' hands color choice to the user", () => {
+  const { bot } = setup();
+  bot.setLockedColorMode('manual');
+  assert.equal(bot.selectColorSmart('#a00e1e'), false);
+  assert.equal(bot.useAutoPalette, false);
+});
+
+test('color metrics pick sensible neighbours', () => {
+  const { bot } = setup();
+  for (const m of ['rgb', 'weighted', 'lab', 'ciede2000']) {
+    bot.setColorMetric(m);
+    assert.equal(bot.findClosestEntry('#101010').color, 'rgb(0, 0, 0)', m);
+    assert.equal(bot.findClosestEntry('#f0f0f0').color, 'rgb(255, 255, 255)', m);
+  }
+});
+
+test('a run skips locked pixels and paints the rest with the right swatch', async () => {
+  const { bot, page } = setup();
+  bot.setLockedColorMode('skip');
+  bot.setCellSize(10, 10);
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }, { x: 1, y: 0, color: '#a50e1e' }, { x: 2, y: 0, color: '#000000' }]);
+  const skipped = [];
+  bot.on('skip', e => skipped.push(e));
+  await bot.start();
+  assert.deepEqual(page.clicks, [{ x: 5, y: 5, color: 'rgb(0, 0, 0)' }, { x: 25, y: 5, color: 'rgb(0, 0, 0)' }]);
+  assert.deepEqual(skipped.map(e => [e.index, e.reason]), [[1, 'locked']]);
+  assert.equal(bot.currentPixel, 3);
+});
@@ -0,0 +1,116 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, MemoryStore } = require('./helpers/fake-page');
+
+const template = () => Array.from({ length: 30 }, (_, i) => ({ x: i % 6, y: Math.floor(i / 6), color: i % 3 ? '#ffffff' : '#000000' }));
+
+test('save and resume restore template, cursor and settings', async () => {
+  const store = new MemoryStore();
+  const a = makeBot({ store }).bot;
+  await a.init();
+  a.setStartPosition(40, 60);
+  a.setCellSize(7, 7);
+  a.setDrawOrder('random', 42);
+  a.loadImageFromData(template(), 'Smiley');
+  a.currentPixel = 11;
+  await a.saveState();
+
+  const { bot: b } = makeBot({ store });
+  await b.init();
+  assert.equal(b.imageName, 'Smiley');
+  assert.deepEqual(b.pixels, a.pixels);
+  assert.equal(b.currentPixel, 11);
+  assert.deepEqual([b.startX, b.startY, b.cellW, b.cellH], [40, 60, 7, 7]);
+  assert.deepEqual([b.drawOrder, b.orderSeed], ['random', 42]);
+});
+
+test('autosave only rewrites the cursor, not the template', async () => {
+  const store = new MemoryStore();
+  const { bot } = makeBot({ store });
+  await bot.init();
+  bot.loadImageFromData(template());
+  await bot.saveState();
+  const writes = [];
+  const setMany = store.setMany.bind(store);
+  store.setMany = (entries) => { writes.push(entries.map(([k]) => k)); return setMany(entries); };
+  bot.currentPixel = 5;
+  await bot.saveState();
+  assert.deepEqual(writes, [['session']]);
+});
+
+test('a finished run clears the saved session', async () => {
+  const store = new MemoryStore();
+  const { bot, page } = makeBot({ store });
+  await bot.init();
+  bot.loadImageFromData(template().slice(0, 3));
+  await bot.start();
+  await bot._saveChain;
+  assert.equal(page.clicks.length, 3);
+  assert.equal(await store.get('session'), undefined);
+});
+
+test('stopping mid-way keeps progress for resume()', async () => {
+  const store = new MemoryStore();
+  const { bot } = makeBot({ store });
+  await bot.init();
+  bot.setDrawOrder('color'); // one swatch switch per color keeps the run short
+  bot.loadImageFromData(template());
+  bot.on('pixel', ({ done }) => { if (done === 4) bot.stop(); });
+  await bot.start();
+  await bot._saveChain;
+
+  const { bot: next, page } = makeBot({ store });
+  await next.init();
+  assert.equal(next.currentPixel, 4);
+  await next.resume();
+  assert.equal(page.clicks.length, 26);
+});
+
+test('the project queue survives a reload', async () => {
+  const store = new MemoryStore();
+  const { bot } = makeBot({ store });
+  await bot.init();
+  bot.loadImageFromData(template(), 'First');
+  bot.addProject('First', { priority: 2 });
+  bot.loadImageFromData(template().slice(0, 4), 'Second');
+  bot.addProject('Second');
+  bot.pauseProject(1);
+  await bot._saveChain;
+
+  const { bot: next } = makeBot({ store });
+  await next.init();
+  assert.deepEqual(next.projects.map(p => [p.imageName, p.priority, p.paused, p.pixels.length]), [['First', 2, true, 30], ['Second', 0, false, 4]]);
+});
+
+test('a queued project that finishes is saved as done', async () => {
+  const store = new MemoryStore();
+  const { bot } = makeBot({ store });
+  await bot.init();
+  bot.loadImageFromData(template().slice(0, 7), 'Small');
+  bot.addProject('Small');
+  await bot.start();
+  await bot._saveChain;
+
+  const { bot: next } = makeBot({ store });
+  await next.init();
+  assert.deepEqual(next.projects.map(p => [p.imageName, p.currentPixel, p.pixels.length]), [['Small', 7, 7]]);
+  assert.equal(next._projectDone(next.projects[0]), true);
+});
+
+test('project files round-trip with progress', () => {
+  const { bot } = makeBot();
+  bot.setAnchor(1200, 3400);
+  bot.loadImageFromData(template(), 'Shared');
+  bot.currentPixel = 7;
+  const file = JSON.parse(JSON.stringify(bot._projectFile()));
+
+  const { bot: other } = makeBot();
+  other._applyProjectFile(file);
+  assert.equal(other.imageName, 'Shared');
+  assert.deepEqual(other.anchor, { x: 1200, y: 3400 });
+  assert.equal(other.currentPixel, 7);
+  assert.deepEqual(new Set(other.pixels.slice(0, 7).map(p => `${p.x},${p.y}`)), new Set(bot.pixels.slice(0, 7).map(p => `${p.x},${p.y}`)));
+  assert.deepEqual([...other.pixels].sort((a, b) => a.y - b.y || a.x - b.x), [...bot.pixels].sort((a, b) => a.y - b.y || a.x - b.x));
+  assert.throws(() => other._applyProjectFile({ ...file, template: { ...file.template, rle: [1, 99] } }));
+});
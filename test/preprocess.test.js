@@ -0,0 +1,124 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot } = require('./helpers/fake-page');
+
+// w×h RGBA image from a function (x, y) → [r, g, b, a]
+const image = (w, h, fn) => {
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) data.set(fn(x, y), (y * w + x) * 4);
+  return { data, w, h };
+};
+const px = (img, x, y) => [...img.data.subarray((y * img.w + x) * 4, (y * img.w + x) * 4 + 4)];
+
+test('default keeps fitting into maxW×maxH without enlarging', () => {
+  const { bot } = makeBot();
+  assert.deepEqual([bot._preprocessImage(image(200, 100, () => [0, 0, 0, 255]), 50, 50)].map(i => [i.w, i.h]), [[50, 25]]);
+  assert.deepEqual([bot._preprocessImage(image(20, 10, () => [0, 0, 0, 255]), 50, 50)].map(i => [i.w, i.h]), [[20, 10]]);
+  // 10×15 into 4×4: 2.67 wide rounds down, like the original loader
+  assert.deepEqual([bot._preprocessImage(image(10, 15, () => [0, 0, 0, 255]), 4, 4)].map(i => [i.w, i.h]), [[2, 4]]);
+});
+
+test('exact size, single side with aspect, and scale factor', () => {
+  const { bot } = makeBot();
+  const src = image(40, 20, () => [9, 9, 9, 255]);
+  bot.setPreprocess({ width: 30, height: 7 });
+  assert.deepEqual((({ w, h }) => [w, h])(bot._preprocessImage(src)), [30, 7]);
+  bot.setPreprocess({ height: null });
+  assert.deepEqual((({ w, h }) => [w, h])(bot._preprocessImage(src)), [30, 15]);
+  bot.setPreprocess({ width: null, scale: 0.25 });
+  assert.deepEqual((({ w, h }) => [w, h])(bot._preprocessImage(src)), [10, 5]);
+  assert.equal(bot.setPreprocess({ width: 5 }), false, 'size and scale together are rejected');
+});
+
+test('crop works in source pixels, also when the loader shrank the source', () => {
+  const { bot } = makeBot();
+  const src = image(8, 8, (x, y) => [x * 10, y * 10, 0, 255]);
+  bot.setPreprocess({ crop: { x: 2, y: 4, w: 3, h: 2 } });
+  const out = bot._preprocessImage(src);
+  assert.deepEqual([out.w, out.h], [3, 2]);
+  assert.deepEqual(px(out, 0, 0), [20, 40, 0, 255]);
+  const half = bot._preprocessImage(image(4, 4, (x, y) => [x * 20, y * 20, 0, 255]), 50, 50, 0.5);
+  assert.deepEqual(px(half, 0, 0), [20, 40, 0, 255]);
+  bot.setPreprocess({ crop: { x: 20, y: 0, w: 2, h: 2 } });
+  assert.equal(bot._preprocessImage(src), null);
+});
+
+test('area averages, pixelart keeps the majority color, nearest samples', () => {
+  const { bot } = makeBot();
+  // 2×2 cells: 3 red + 1 blue
+  const src = image(2, 2, (x, y) => (x && y ? [0, 0, 255, 255] : [255, 0, 0, 255]));
+  bot.setPreprocess({ width: 1, height: 1, resample: 'area' });
+  assert.deepEqual(px(bot._preprocessImage(src), 0, 0), [191, 0, 64, 255]);
+  bot.setPreprocess({ resample: 'pixelart' });
+  assert.deepEqual(px(bot._preprocessImage(src), 0, 0), [255, 0, 0, 255]);
+  bot.setPreprocess({ resample: 'nearest' });
+  assert.deepEqual(px(bot._preprocessImage(src), 0, 0), [0, 0, 255, 255]);
+});
+
+test('area resampling ignores transparent colors and pixelart drops mostly transparent cells', () => {
+  const { bot } = makeBot();
+  const src = image(2, 2, (x, y) => (x || y ? [0, 0, 0, 0] : [200, 100, 0, 255]));
+  bot.setPreprocess({ width: 1, height: 1, resample: 'area' });
+  assert.deepEqual(px(bot._preprocessImage(src), 0, 0), [200, 100, 0, 64]);
+  bot.setPreprocess({ resample: 'pixelart' });
+  assert.equal(px(bot._preprocessImage(src), 0, 0)[3], 0);
+});
+
+test('chroma key removes the background before resampling', () => {
+  const { bot } = makeBot();
+  const src = image(4, 1, (x) => (x < 2 ? [0, 255, 0, 255] : [10, 20, 30, 255]));
+  bot.setPreprocess({ chromaKey: '#00FF00', chromaTolerance: 10, width: 2, height: 1, resample: 'area' });
+  const out = bot._preprocessImage(src);
+  assert.equal(px(out, 0, 0)[3], 0);
+  assert.deepEqual(px(out, 1, 0), [10, 20, 30, 255]);
+  assert.equal(bot.preprocess.chromaKey, '#00ff00');
+});
+
+test('brightness, contrast, saturation and gamma adjust colors', () => {
+  const { bot } = makeBot();
+  const src = image(1, 1, () => [100, 150, 200, 255]);
+  bot.setPreprocess({ brightness: 0.2 });
+  assert.deepEqual(px(bot._preprocessImage(src), 0, 0), [151, 201, 251, 255]);
+  bot.resetPreprocess();
+  bot.setPreprocess({ saturation: -1 });
+  const [r, g, b] = px(bot._preprocessImage(src), 0, 0);
+  assert.ok(r === g && g === b, 'fully desaturated is gray');
+  bot.resetPreprocess();
+  bot.setPreprocess({ contrast: 0.5 });
+  const c = px(bot._preprocessImage(src), 0, 0);
+  assert.ok(c[0] < 100 && c[2] > 200, 'contrast pushes away from the middle');
+  bot.resetPreprocess();
+  bot.setPreprocess({ gamma: 2 });
+  assert.ok(px(bot._preprocessImage(src), 0, 0)[0] > 100, 'gamma > 1 brightens midtones');
+});
+
+test('alpha threshold decides which cells become pixels', () => {
+  const { bot } = makeBot();
+  const { data } = image(3, 1, (x) => [0, 0, 0, [40, 120, 250][x]]);
+  assert.equal(bot._quantizeImage(data, 3, 1).length, 1);
+  bot.setPreprocess({ alphaThreshold: 30 });
+  assert.equal(bot._quantizeImage(data, 3, 1).length, 3);
+});
+
+test('a custom color matcher also picks the swatches when loading', () => {
+  const { bot } = makeBot();
+  bot.findColorPalette();
+  const { data } = image(2, 1, (x) => [[250, 250, 250, 255], [10, 10, 10, 255]][x]);
+  assert.notEqual(bot._quantizeImage(data, 2, 1)[0].color, '#000000');
+  const seen = [];
+  bot.setColorMatcher((hex, entries) => { seen.push(hex); return entries.find(e => e.color === 'rgb(0, 0, 0)'); });
+  assert.deepEqual(bot._quantizeImage(data, 2, 1).map(p => p.color), ['#000000', '#000000']);
+  assert.deepEqual(seen, ['#fafafa', '#0a0a0a']);
+  bot.setColorMatcher(() => null);
+  assert.equal(bot._quantizeImage(data, 2, 1)[0].color, '#ffffff', 'no answer falls back to the nearest color');
+});
+
+test('invalid options change nothing', () => {
+  const { bot } = makeBot();
+  const before = { ...bot.preprocess };
+  for (const bad of [{ nope: 1 }, { resample: 'cubic' }, { brightness: 2 }, { crop: { x: 0, y: 0, w: 0, h: 1 } }, { alphaThreshold: 0 }, { chromaKey: 'green' }, { gamma: 1, width: -1 }]) {
+    assert.equal(bot.setPreprocess(bad), false, JSON.stringify(bad));
+  }
+  assert.deepEqual(bot.preprocess, before);
+});
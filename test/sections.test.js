@@ -0,0 +1,118 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, MemoryStore } = require('./helpers/fake-page');
+
+// 6×4 template, all black (no swatch switches)
+const grid = () => { const px = []; for (let y = 0; y < 4; y++) for (let x = 0; x < 6; x++) px.push({ x, y, color: '#000000' }); return px; };
+const key = (p) => `${p.x},${p.y}`;
+
+async function setup(store = new MemoryStore()) {
+  const r = makeBot({ store });
+  await r.bot.init();
+  r.bot.loadImageFromData(grid(), 'Grid');
+  r.bot.setCellSize(10, 10);
+  return r;
+}
+
+test('a run draws only the active rectangle, then stops', async () => {
+  const { bot, page } = await setup();
+  bot.addSection('left', { x: 0, y: 0, w: 2, h: 4 });
+  bot.selectSection('left');
+  const done = [];
+  bot.on('sectionDone', e => done.push(e.name));
+  await bot.start();
+  assert.equal(page.clicks.length, 8);
+  assert.ok(page.clicks.every(c => c.x < 20));
+  assert.equal(bot.currentPixel, 8);
+  assert.deepEqual(done, ['left']);
+  assert.equal(bot.history.at(-1).result, 'section');
+  await bot.start();
+  assert.equal(page.clicks.length, 8, 'a complete section is not redrawn');
+});
+
+test('splitSections tiles the template and reports per-section completion', async () => {
+  const { bot } = await setup();
+  bot.splitSections(2, 2);
+  assert.deepEqual(bot.sections.map(s => [s.name, s.x, s.y, s.w, s.h]), [['r1c1', 0, 0, 3, 2], ['r1c2', 3, 0, 3, 2], ['r2c1', 0, 2, 3, 2], ['r2c2', 3, 2, 3, 2]]);
+  bot.selectSection('r2c2');
+  await bot.start();
+  const rows = bot.sectionReport({ print: false });
+  assert.deepEqual(rows.map(r => [r.section, r.pixels, r.done, r.active]), [['r1c1', 6, 0, false], ['r1c2', 6, 0, false], ['r2c1', 6, 0, false], ['r2c2', 6, 6, true]]);
+  bot.splitSections(3, 1);
+  assert.deepEqual(bot.sections.map(s => s.name), ['r1c1', 'r1c2', 'r1c3']);
+  assert.equal(bot.activeSection, null, 'the active tile went away');
+});
+
+test('mask sections from a predicate or an RGBA image', async () => {
+  const { bot } = await setup();
+  await bot.addMaskSection('diag', (x, y) => x === y);
+  assert.equal(bot._sectionCount(bot.sections[0]), 4);
+  // 3×2 image stretched over 6×4: only the top-left mask pixel is white
+  const data = new Uint8ClampedArray(3 * 2 * 4);
+  data.set([255, 255, 255, 255], 0);
+  await bot.addMaskSection('corner', { width: 3, height: 2, data });
+  bot.selectSection('corner');
+  assert.deepEqual(bot.pixels.slice(0, bot._runEnd).map(key).sort(), ['0,0', '0,1', '1,0', '1,1']);
+});
+
+test('resume continues inside the saved active section', async () => {
+  const store = new MemoryStore();
+  const { bot } = await setup(store);
+  bot.addSection('top', { x: 0, y: 0, w: 6, h: 1 });
+  bot.selectSection('top');
+  bot.on('pixel', ({ done }) => { if (done === 2) bot.stop(); });
+  await bot.start();
+  await bot._saveChain;
+
+  const { bot: next, page } = makeBot({ store });
+  await next.init();
+  assert.equal(next.activeSection, 'top');
+  await next.resume();
+  assert.deepEqual(page.clicks.map(c => c.y), [5, 5, 5, 5]);
+  assert.equal(next.currentPixel, 6);
+});
+
+test('redoSection puts placed pixels of that section back into the work list', async () => {
+  const { bot, page } = await setup();
+  bot.addSection('a', { x: 0, y: 0, w: 1, h: 4 });
+  bot.addSection('b', { x: 5, y: 0, w: 1, h: 4 });
+  bot.selectSection('a'); await bot.start();
+  bot.selectSection('b'); await bot.start();
+  assert.equal(bot.currentPixel, 8);
+  bot.redoSection('a');
+  assert.equal(bot.currentPixel, 4);
+  assert.ok(bot.pixels.slice(0, 4).every(p => p.x === 5));
+  await bot.start();
+  assert.equal(page.clicks.length, 12);
+});
+
+test('reordering keeps the active section first', async () => {
+  const { bot } = await setup();
+  bot.addSection('right', { x: 4, y: 0, w: 2, h: 4 });
+  bot.selectSection('right');
+  bot.setDrawOrder('random', 7);
+  assert.ok(bot.pixels.slice(0, bot._runEnd).every(p => p.x >= 4));
+  assert.equal(bot._runEnd, 8);
+});
+
+test('invalid sections are rejected', async () => {
+  const { bot } = await setup();
+  assert.equal(bot.addSection('bad', { x: -1, y: 0, w: 2, h: 2 }), false);
+  assert.equal(bot.addSection('', { x: 0, y: 0, w: 2, h: 2 }), false);
+  assert.equal(bot.selectSection('nope'), false);
+  assert.equal(bot.sections.length, 0);
+});
+
+test('loading a new image drops the old sections', async () => {
+  const { bot, page } = await setup();
+  bot.addSection('left', { x: 0, y: 0, w: 1, h: 1 });
+  bot.selectSection('left');
+  bot.loadImageFromData([{ x: 0, y: 0, color: '#000000' }, { x: 1, y: 0, color: '#000000' }, { x: 0, y: 1, color: '#000000' }, { x: 1, y: 1, color: '#000000' }], 'Square');
+  assert.deepEqual(bot.sections, []);
+  assert.equal(bot.activeSection, null);
+  assert.equal(bot._runEnd, 4);
+  await bot.start();
+  assert.equal(page.clicks.length, 4);
+  assert.equal(bot.history.at(-1).result, 'finished');
+});
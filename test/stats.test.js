@@ -0,0 +1,81 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, MemoryStore } = require('./helpers/fake-page');
+
+const swatches = [{ color: 'rgb(0, 0, 0)' }, { color: 'rgb(255, 255, 255)' }, { color: 'rgb(165, 14, 30)', locked: true }, { color: 'rgb(237, 28, 36)' }];
+const row = (colors) => colors.map((color, x) => ({ x, y: 0, color }));
+
+async function run(store, mode, colors) {
+  const { bot, page } = makeBot({ store, swatches });
+  await bot.init();
+  bot.setLockedColorMode(mode);
+  bot.setDrawOrder('color');
+  bot.loadImageFromData(row(colors), 'Stats');
+  await bot.start();
+  await bot._saveChain;
+  return { bot, page };
+}
+
+test('placed, skipped and remapped pixels are counted per run', async () => {
+  const { bot } = await run(new MemoryStore(), 'map', ['#000000', '#000000', '#a50e1e', '#ffffff']);
+  const r = bot.statsReport({ print: false });
+  assert.equal(r.running, false);
+  assert.deepEqual([r.placed, r.skipped, r.remapped], [4, 0, 1]);
+  assert.deepEqual(r.colors.map(c => [c.color, c.pixels]), [['Black', 2], ['Red', 1], ['White', 1]]);
+});
+
+test('skips are broken down by reason', async () => {
+  const { bot } = await run(new MemoryStore(), 'skip', ['#000000', '#a50e1e', '#a50e1e']);
+  const r = bot.statsReport({ print: false });
+  assert.deepEqual([r.placed, r.skipped, r.skippedBy], [1, 2, { locked: 2 }]);
+});
+
+test('speed and ETA', () => {
+  const { bot } = makeBot();
+  bot.loadImageFromData(row(Array(10).fill('#000000')));
+  bot.delay = 1000;
+  bot.chargeAware = false;
+  assert.equal(bot._etaMs(), 10000);
+  bot.chargeAware = true;
+  bot.page.charges = { count: 3, max: 30, cooldownMs: 5000 };
+  assert.equal(bot._etaMs(), 5000 + 6 * bot.chargeRefillMs, 'charge refill dominates once the 3 charges are used');
+  bot._statsBegin();
+  bot.stats.recent = [0, 30000, 60000];
+  bot.stats.placed = 3;
+  assert.equal(bot.pixelsPerMinute(), 2);
+});
+
+test('history is persisted and exported as CSV and JSON', async () => {
+  const store = new MemoryStore();
+  await run(store, 'map', ['#000000', '#ffffff']);
+  const { bot } = await run(store, 'map', ['#000000']);
+  assert.equal(bot.history.length, 2);
+  assert.deepEqual(bot.history.map(h => [h.project, h.result, h.placed, h.from, h.to]), [['Stats', 'finished', 2, 0, 2], ['Stats', 'finished', 1, 0, 1]]);
+
+  const csv = bot.historyText('csv').split('\n');
+  assert.equal(csv[0], 'startedAt,endedAt,durationSec,project,projectId,result,placed,skipped,remapped,from,to,total');
+  assert.equal(csv.length, 3);
+  assert.match(csv[1], /,Stats,,finished,2,0,0,0,2,2$/);
+  assert.deepEqual(JSON.parse(bot.historyText('json')), bot.history);
+
+  await bot.clearHistory();
+  assert.equal(await store.get('history'), undefined);
+});
+
+test('CSV fields with commas or quotes are quoted', () => {
+  const { bot } = makeBot();
+  bot.history = [{ project: 'a, "b"', placed: 1 }];
+  assert.equal(bot.historyText('csv').split('\n')[1], ',,,"a, ""b""",,,1,,,,,');
+});
+
+test('a stopped run records where it stopped', async () => {
+  const store = new MemoryStore();
+  const { bot } = makeBot({ store, swatches });
+  await bot.init();
+  bot.loadImageFromData(row(Array(6).fill('#000000')));
+  bot.on('pixel', ({ done }) => { if (done === 2) bot.stop(); });
+  await bot.start();
+  await bot._saveChain;
+  assert.deepEqual((await store.get('history')).map(h => [h.result, h.placed, h.to, h.total]), [['stopped', 2, 2, 6]]);
+});
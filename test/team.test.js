@@ -0,0 +1,131 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeTeamCode, decodeTeamCode, encodeTemplate } = require('../kurowplace.js');
+const { makeBot, MemoryStore } = require('./helpers/fake-page');
+
+// 6×4 template: black left half, white right half, one hole at (5,3)
+const grid = () => {
+  const px = [];
+  for (let y = 0; y < 4; y++) for (let x = 0; x < 6; x++) if (x !== 5 || y !== 3) px.push({ x, y, color: x < 3 ? '#000000' : '#ffffff' });
+  return px;
+};
+const key = (p) => `${p.x},${p.y}`;
+
+async function coordinator() {
+  const r = makeBot();
+  await r.bot.init();
+  r.bot.loadImageFromData(grid(), 'Mural');
+  r.bot.setAnchor(1200, 3400);
+  r.bot.splitSections(2, 1);
+  r.code = await r.bot.exportTeamCode();
+  return r;
+}
+async function member(code, store = new MemoryStore()) {
+  const r = makeBot({ store });
+  await r.bot.init();
+  assert.equal(await r.bot.loadTeamCode(code), true);
+  return r;
+}
+
+test('team codes round-trip the template, anchor and sections', async () => {
+  const template = encodeTemplate(grid());
+  const sections = [{ name: 'top', type: 'rect', x: 0, y: 0, w: 6, h: 2 }, { name: 'diag', type: 'mask', w: 2, h: 2, rle: [1, 1, 2, 0, 1, 1] }];
+  const { code, id } = await encodeTeamCode({ name: 'Mural ✨', anchor: { x: 1200, y: 3400 }, template, sections });
+  assert.match(code, /^WPT1\.[\w-]+$/);
+  const t = await decodeTeamCode(code.replace(/(.{20})/g, '$1\n  ')); // wrapped by a chat app
+  assert.deepEqual(t, { name: 'Mural ✨', anchor: { x: 1200, y: 3400 }, template, sections, id });
+  const renamed = await encodeTeamCode({ name: 'Other', anchor: { x: 1200, y: 3400 }, template });
+  assert.equal(renamed.id, id, 'the id only depends on the anchor and the pixels');
+  const moved = await encodeTeamCode({ name: 'Mural ✨', anchor: { x: 1201, y: 3400 }, template });
+  assert.notEqual(moved.id, id);
+});
+
+test('malformed team codes are rejected', async () => {
+  const { code } = await encodeTeamCode({ name: 'x', template: encodeTemplate(grid()) });
+  await assert.rejects(decodeTeamCode('hello'), /starts with WPT1\./);
+  await assert.rejects(decodeTeamCode(code.slice(0, -6)));
+  await assert.rejects(decodeTeamCode('WPT1.Ag'), /unknown flags/);
+});
+
+test('a member gets the template, anchor and sections from the code', async () => {
+  const { bot: boss, code } = await coordinator();
+  const store = new MemoryStore();
+  const { bot } = await member(code, store);
+  assert.deepEqual(bot.pixels.map(key).sort(), grid().map(key).sort());
+  assert.deepEqual(bot.anchor, { x: 1200, y: 3400 });
+  assert.deepEqual(bot.sections.map(s => s.name), ['r1c1', 'r1c2']);
+  assert.equal(bot.teamId, boss.teamId);
+  assert.equal(bot.currentPixel, 0);
+  await bot.saveState();
+  const { bot: again } = makeBot({ store });
+  await again.init();
+  assert.equal(again.teamId, boss.teamId, 'the team id is saved with the session');
+  bot.loadImageFromData(grid(), 'Own');
+  assert.equal(bot.teamId, null);
+});
+
+test('interleaved slices are disjoint and cover the template', async () => {
+  const { code } = await coordinator();
+  const seen = new Map();
+  for (let k = 1; k <= 3; k++) {
+    const { bot } = await member(code);
+    bot.setDrawOrder(k === 2 ? 'spiral' : 'row'); // slices do not depend on the drawing order
+    assert.equal(bot.claimPartition({ slice: k, of: 3 }), true);
+    assert.equal(bot.activeSection, `slice ${k}/3`);
+    for (const p of bot.pixels.slice(0, bot._runEnd)) { assert.ok(!seen.has(key(p)), `${key(p)} is in two slices`); seen.set(key(p), k); }
+  }
+  assert.equal(seen.size, grid().length);
+  assert.equal(seen.get('0,0'), 1);
+  assert.equal(seen.get('1,0'), 2);
+  assert.equal(seen.get('2,0'), 3);
+});
+
+test('a member draws only the claimed color or section', async () => {
+  const { code } = await coordinator();
+  const { bot, page } = await member(code);
+  bot.clearAnchor();
+  bot.setCellSize(10, 10);
+  assert.equal(bot.claimPartition({ color: 'white' }), true);
+  assert.equal(bot.activeSection, 'color White');
+  await bot.start();
+  assert.equal(page.clicks.length, 11);
+  assert.ok(page.clicks.every(c => c.x >= 30 && c.color === 'rgb(255, 255, 255)'));
+  assert.equal(bot.claimPartition({ color: '#ed1c24' }), false, 'no red pixels');
+  assert.equal(bot.claimPartition({ slice: 4, of: 3 }), false);
+  assert.equal(bot.claimPartition({ section: 'r1c1' }), true);
+  assert.equal(bot._runEnd - bot.currentPixel, 12);
+});
+
+test('the coordinator merges members’ progress', async () => {
+  const { bot: boss, code } = await coordinator();
+  const reports = [];
+  for (const [k, name] of [[1, 'alice'], [2, 'bob']]) {
+    const { bot } = await member(code);
+    bot.clearAnchor();
+    bot.setCellSize(10, 10);
+    bot.claimPartition({ slice: k, of: 2 });
+    if (k === 1) await bot.start();
+    else { bot.on('pixel', () => { if (bot.currentPixel >= 4) bot.stop(); }); await bot.start(); }
+    reports.push(JSON.stringify(bot.exportProgress(name, { download: false })));
+  }
+  const { bot: stranger } = makeBot();
+  await stranger.init();
+  stranger.loadImageFromData(grid(), 'Mural');
+  reports.push(stranger.exportProgress('eve', { download: false }));
+
+  const status = await boss.mergeProgress(reports, { print: false });
+  assert.deepEqual(status.members.map(m => [m.member, m.partition, m.placed, m.total]), [['alice', 'slice 1/2', 12, 12], ['bob', 'slice 2/2', 4, 11]]);
+  assert.equal(status.total, 23);
+  assert.equal(status.done, 16);
+  assert.ok(boss.logs.some(l => l.level === 'warn' && /Skipped a progress report/.test(l.text)), 'another template is skipped');
+  assert.equal(boss.currentPixel, 0, 'merging alone changes nothing');
+
+  await boss.mergeProgress(reports, { apply: true, print: false });
+  assert.equal(boss.currentPixel, 16);
+  const bad = JSON.parse(reports[0]);
+  bad.done = [23, 1, 1, 1]; // (5,3) is a hole in the template
+  const before = boss.logs.length;
+  assert.equal((await boss.mergeProgress([bad], { print: false })).members.length, 0);
+  assert.ok(boss.logs.slice(before).some(l => /empty cell/.test(l.text)));
+});
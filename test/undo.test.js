@@ -0,0 +1,116 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, MemoryStore, rgb } = require('./helpers/fake-page');
+
+// a 3-cell row that already has colors on the board (the middle cell is empty)
+function setup(store = new MemoryStore()) {
+  const { bot, page } = makeBot({
+    store,
+    swatches: [{ color: 'rgb(0, 0, 0)' }, { color: 'rgb(255, 255, 255)' }, { color: 'rgb(237, 28, 36)' }],
+  });
+  bot.findCanvas(); bot.findColorPalette();
+  bot.setCellSize(10, 10);
+  page.painted.set('5,5', rgb('rgb(237, 28, 36)'));
+  page.painted.set('25,5', rgb('rgb(255, 255, 255)'));
+  return { bot, page };
+}
+const row = (color) => [0, 1, 2].map(x => ({ x, y: 0, color }));
+
+test('undo restores the colors under the drawn cells at the position they were drawn', async () => {
+  const { bot, page } = setup();
+  bot.loadImageFromData(row('#000000'), 'Oops');
+  await bot.start();
+  assert.deepEqual(bot.undoLog.map(e => e.color), ['#ed1c24', null, '#ffffff']);
+
+  bot.setStartPosition(300, 300); // fixing the position must not move the undo
+  assert.equal(bot.undo(), true);
+  assert.equal(bot.imageName, 'Undo "Oops"');
+  assert.deepEqual([bot.startX, bot.startY], [0, 0]);
+  assert.deepEqual(bot.pixels, [{ x: 2, y: 0, color: '#ffffff' }, { x: 0, y: 0, color: '#ed1c24' }]);
+  assert.equal(bot.undoLog.length, 0);
+
+  await bot.start();
+  assert.deepEqual(page.painted.get('5,5'), rgb('rgb(237, 28, 36)'));
+  assert.deepEqual(page.painted.get('25,5'), rgb('rgb(255, 255, 255)'));
+  assert.equal(bot.undoLog.length, 0, 'the undo run itself is not recorded');
+});
+
+test('undo(n) takes the last n pixels; a cell drawn twice gets its first original back', async () => {
+  const { bot } = setup();
+  bot.loadImageFromData(row('#000000'), 'A');
+  await bot.start();
+  bot.loadImageFromData([{ x: 2, y: 0, color: '#ed1c24' }], 'B');
+  await bot.start();
+  assert.deepEqual(bot.undoLog.map(e => e.color), ['#ed1c24', null, '#ffffff', '#000000']);
+
+  bot.undo(1);
+  assert.deepEqual(bot.pixels, [{ x: 2, y: 0, color: '#000000' }]);
+  assert.equal(bot.undoLog.length, 3);
+  assert.equal(bot.undo(), false, 'the pending undo template is not dropped silently');
+  bot.undo(null, { force: true });
+  assert.deepEqual(bot.pixels, [{ x: 2, y: 0, color: '#ffffff' }, { x: 0, y: 0, color: '#ed1c24' }]);
+});
+
+test('only the last position is undone at once', async () => {
+  const { bot, page } = setup();
+  for (const x of [15, 25]) page.painted.set(`${x},15`, rgb('rgb(255, 255, 255)'));
+  bot.loadImageFromData(row('#000000'), 'A');
+  bot.on('pixel', e => { if (e.index === 0) bot.stop(); });
+  await bot.start();
+  bot.setStartPosition(0, 10);
+  await bot.resume();
+  bot.undo();
+  assert.deepEqual([bot.startX, bot.startY, bot.pixels.length], [0, 10, 2]);
+  assert.ok(bot.logs.some(l => /1 older pixel\(s\) remain/.test(l.text)));
+  bot.undo(null, { force: true });
+  assert.deepEqual([bot.startX, bot.startY, bot.pixels.length], [0, 0, 1]);
+});
+
+test('the snapshot outlives the finished session and a reload', async () => {
+  const store = new MemoryStore();
+  const { bot } = setup(store);
+  bot.loadImageFromData(row('#000000'), 'Saved');
+  await bot.start();
+  await bot._saveChain;
+  assert.equal(await store.get('session'), undefined, 'finishing cleared the session');
+
+  const { bot: again } = makeBot({ store });
+  await again.init();
+  assert.equal(again.undoLog.length, 3);
+  assert.equal(again.undo(), true);
+  assert.equal(again.pixels.length, 2);
+
+  again.clearUndo();
+  await again._saveChain;
+  assert.equal(await store.get('undo'), undefined);
+});
+
+test('storageReport counts undo entries apart from pixels', async () => {
+  const store = new MemoryStore();
+  const { bot } = setup(store);
+  bot.loadImageFromData(row('#000000'), 'Sized');
+  bot.on('pixel', ({ done }) => { if (done === 2) bot.stop(); });
+  await bot.start();
+  await bot._saveChain;
+  const { records } = await bot.storageReport();
+  const rec = (key) => records.find(r => r.key === key);
+  assert.deepEqual([rec('undo:0').kind, rec('undo:0').entries], ['undo', 2]);
+  assert.deepEqual([rec('session:pixels').kind, rec('session:pixels').entries], ['pixels', 3]);
+});
+
+test('undo keeps an unfinished session unless it is queued or forced', async () => {
+  const { bot } = setup();
+  bot.loadImageFromData(row('#000000'), 'Half');
+  bot.on('pixel', ({ done }) => { if (done === 2) bot.stop(); });
+  await bot.start();
+  assert.equal(bot.undo(), false);
+  assert.equal(bot.imageName, 'Half');
+  assert.equal(bot.currentPixel, 2);
+  assert.ok(bot.logs.some(l => l.level === 'warn' && /unfinished \(2\/3 px\) and not queued/.test(l.text)));
+
+  bot.addProject('Half');
+  assert.equal(bot.undo(), true);
+  assert.equal(bot.imageName, 'Undo "Half"');
+  assert.equal(bot.projects[0].currentPixel, 2, 'the queued project keeps its progress');
+});
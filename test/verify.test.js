@@ -0,0 +1,37 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot, FakePage, FakeCanvas, rgb } = require('./helpers/fake-page');
+
+// a 20-px black row on a 10-px wide canvas: the right half is never readable
+function setup() {
+  const page = new FakePage({ canvas: new FakeCanvas(10, 10) });
+  const { bot } = makeBot({ page });
+  bot.findCanvas(); bot.findColorPalette();
+  bot.setCellSize(1, 1);
+  bot.loadImageFromData(Array.from({ length: 20 }, (_, x) => ({ x, y: 0, color: '#000000' })), 'Wide');
+  return { bot, page };
+}
+
+test('verify leaves placed cells it cannot see as placed', async () => {
+  const { bot, page } = setup();
+  await bot.start();
+  assert.equal(page.clicks.length, 20);
+  assert.deepEqual(bot.verify(), { total: 20, correct: 10, mismatched: 0, unreadable: 10 });
+  assert.equal(bot.currentPixel, 20);
+  await bot.start();
+  assert.equal(page.clicks.length, 20, 'nothing is drawn again');
+
+  page.painted.set('3,0', rgb('rgb(255, 255, 255)'));
+  bot.setDiffMode(true);
+  await bot.start();
+  assert.deepEqual(page.clicks.slice(20).map(c => c.x), [3], 'only the damaged cell is repaired');
+});
+
+test('verify leaves pending cells it cannot see pending', () => {
+  const { bot } = setup();
+  for (let x = 0; x < 10; x++) bot.page.painted.set(`${x},0`, rgb('rgb(0, 0, 0)'));
+  assert.deepEqual(bot.verify(), { total: 20, correct: 10, mismatched: 0, unreadable: 10 });
+  assert.equal(bot.currentPixel, 10);
+  assert.ok(bot.pixels.slice(10).every(p => p.x >= 10));
+});
@@ -0,0 +1,74 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeBot } = require('./helpers/fake-page');
+
+const row = (n) => Array.from({ length: n }, (_, x) => ({ x, y: 0, color: x % 2 ? '#ffffff' : '#000000' }));
+function setup(n = 8) {
+  const { bot, page } = makeBot();
+  bot.sleep = () => new Promise(r => setImmediate(r));
+  Object.assign(bot.watchdog, { backoffMs: 1, maxBackoffMs: 4, retries: 3 });
+  bot.findCanvas(); bot.findColorPalette();
+  bot.setCellSize(10, 10);
+  bot.loadImageFromData(row(n));
+  const events = [];
+  for (const e of ['paused', 'resumed', 'error']) bot.on(e, p => events.push([e, p.reason || p.during, p.code || p.fault?.code]));
+  return { bot, page, events };
+}
+
+test('a re-rendered canvas and palette are found again without losing pixels', async () => {
+  const { bot, page, events } = setup();
+  bot.on('pixel', e => { if (e.index === 2) page.rerender(); });
+  await bot.start();
+  assert.equal(page.lostClicks, 0);
+  assert.equal(bot.currentPixel, 8);
+  assert.equal(page.painted.size, 8);
+  assert.equal(bot.canvas, page.canvas);
+  assert.deepEqual(events.slice(0, 2), [['paused', 'recover', 'CANVAS_DETACHED'], ['resumed', 'recover', 'CANVAS_DETACHED']]);
+});
+
+test('a closed color picker is reopened', async () => {
+  const { bot, page, events } = setup();
+  bot.on('pixel', e => { if (e.index === 4) page.pickerOpen = false; });
+  await bot.start();
+  assert.equal(bot.currentPixel, 8);
+  assert.equal(page.pickerOpen, true);
+  assert.deepEqual(events[0], ['paused', 'recover', 'PICKER_CLOSED']);
+});
+
+test('clicks without effect are retried, then the run stops with a structured fault', async () => {
+  const { bot, page, events } = setup(4);
+  page.ignoreClicks = true;
+  await bot.start();
+  assert.equal(bot.currentPixel, 0, 'no pixel counts as placed');
+  assert.equal(bot.stats.placed, 0);
+  assert.equal(page.clicks.length, 3 * 4, 'maxMisses clicks, then again after each of the 3 retries');
+  assert.equal(bot.fault.code, 'CLICK_NO_EFFECT');
+  assert.equal(bot.fault.index, 0);
+  assert.deepEqual(events.slice(-2), [['error', 'watchdog', 'CLICK_NO_EFFECT'], ['paused', 'fault', 'CLICK_NO_EFFECT']]);
+
+  page.ignoreClicks = false;
+  await bot.resume();
+  assert.equal(bot.fault, null);
+  assert.equal(bot.currentPixel, 4);
+});
+
+test('a single missed click is placed again', async () => {
+  const { bot, page } = setup(4);
+  let once = true;
+  bot.on('pixel', e => { if (e.index === 1 && once) { once = false; page.painted.delete('15,5'); } });
+  await bot.start();
+  assert.deepEqual(page.clicks.map(c => c.x), [5, 15, 15, 25, 35]);
+  assert.equal(bot.stats.placed, 4);
+  assert.equal(bot.stats.misses, 1);
+});
+
+test('a board that does not come back ends in a fault, progress kept', async () => {
+  const { bot, page } = setup();
+  bot.on('pixel', e => { if (e.index === 1) { page.canvas.detached = true; page.canvas = null; } });
+  await bot.start();
+  assert.equal(bot.currentPixel, 2);
+  assert.equal(page.lostClicks, 0);
+  assert.equal(bot.fault.code, 'CANVAS_DETACHED');
+  assert.equal(bot.fault.attempts, 3);
+});